@@ -54,13 +54,15 @@ const safeSetItem = (key, value) => {
   } catch (e) {
     if (e.name === "QuotaExceededError" || e.code === 22) {
       console.error(`localStorage quota exceeded for ${key}`);
-      // Try to clear old data to make room
+      // Make room by dropping the older half of the draft log, the only bulky
+      // key that is safe to lose (feed results are cached in IndexedDB instead)
       try {
-        localStorage.removeItem("sm_cache");
+        const log = JSON.parse(localStorage.getItem("sm_draft_log") || "[]");
+        localStorage.setItem("sm_draft_log", JSON.stringify(log.slice(Math.ceil(log.length / 2))));
         localStorage.setItem(key, JSON.stringify(value));
         return true;
       } catch (e2) {
-        console.error("Failed to save even after clearing cache:", e2);
+        console.error("Failed to save even after trimming the draft log:", e2);
       }
     } else {
       console.error(`Error writing ${key} to localStorage:`, e);
@@ -70,8 +72,25 @@ const safeSetItem = (key, value) => {
 };
 
 const config = () => window.socialConfig || loadStoredConfig();
-const loadStoredConfig = () => safeGetItem("sm_config", {});
+// A vaulted config reads as empty until unlocked, so providers fall back to demo data
+const loadStoredConfig = () => {
+  const stored = safeGetItem("sm_config", {});
+  return stored.vault ? vault.cfg || {} : stored;
+};
+// Signed-in handle per provider, looked up once per config (used to pick voices)
+let accountHandles = {};
 const saveConfig = (cfg) => {
+  // Credentials may have changed, so look the signed-in accounts up again
+  accountHandles = {};
+  if (isVaultEnabled()) {
+    if (!vault.key) {
+      alert("Unlock the vault to change settings.");
+      return false;
+    }
+    vault.cfg = cfg;
+    persistVault();
+    return true;
+  }
   const success = safeSetItem("sm_config", cfg);
   if (!success) {
     alert("Unable to save settings. Safari private browsing may prevent storage.");
@@ -79,10 +98,192 @@ const saveConfig = (cfg) => {
   return success;
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Credential Vault
+// Optional AES-GCM encryption of sm_config with a key derived from a passphrase
+// via PBKDF2. Only the decrypted copy in memory is used; locking drops it.
+// ═══════════════════════════════════════════════════════════════════════════
+const VAULT_ITERATIONS = 310_000;
+const VAULT_DEFAULT_IDLE_MINUTES = 15;
+const vault = { key: null, cfg: null, idleTimer: null, writes: Promise.resolve() };
+
+const storedVault = () => safeGetItem("sm_config", {}).vault || null;
+const isVaultEnabled = () => !!storedVault();
+const isVaultLocked = () => !window.socialConfig && isVaultEnabled() && !vault.cfg;
+const base64ToBytes = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+async function deriveVaultKey(passphrase, salt, iterations = VAULT_ITERATIONS) {
+  const material = await crypto.subtle.importKey("raw", textEncoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptConfig(key, cfg) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, textEncoder.encode(JSON.stringify(cfg)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+// Re-encrypts the in-memory config; writes are chained so they land in order
+function persistVault() {
+  const { key, cfg } = vault;
+  const envelope = storedVault();
+  vault.writes = vault.writes.then(async () => {
+    safeSetItem("sm_config", { vault: { ...envelope, ...(await encryptConfig(key, cfg)) } });
+  }).catch((err) => console.error("Unable to write vault:", err));
+  return vault.writes;
+}
+
+// Also used to change the passphrase. The complete envelope is written in one go
+// and only after encryption succeeded, so a failure leaves the old config intact.
+async function enableVault(passphrase, idleMinutes) {
+  await vault.writes;
+  const cfg = config();
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt);
+  const envelope = { salt: bytesToBase64(salt), iterations: VAULT_ITERATIONS, idleMinutes, ...(await encryptConfig(key, cfg)) };
+  if (!safeSetItem("sm_config", { vault: envelope })) {
+    throw new Error("Unable to save the encrypted settings");
+  }
+  vault.key = key;
+  vault.cfg = cfg;
+  resetIdleLock();
+}
+
+async function unlockVault(passphrase) {
+  const envelope = storedVault();
+  const key = await deriveVaultKey(passphrase, base64ToBytes(envelope.salt), envelope.iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+  } catch (err) {
+    throw new Error("Wrong passphrase");
+  }
+  vault.key = key;
+  vault.cfg = JSON.parse(new TextDecoder().decode(plain));
+  resetIdleLock();
+}
+
+// Writes the config back in plain text and forgets the vault
+async function disableVault() {
+  await vault.writes;
+  const cfg = vault.cfg || {};
+  vault.key = null;
+  vault.cfg = null;
+  clearTimeout(vault.idleTimer);
+  safeSetItem("sm_config", cfg);
+}
+
+function lockVault() {
+  if (!isVaultEnabled() || !vault.cfg) return;
+  vault.key = null;
+  vault.cfg = null;
+  clearTimeout(vault.idleTimer);
+  BlueskyClient.session = null;
+  delete window.githubModelsEndpoint;
+  delete window.githubModelsToken;
+  delete window.githubModelsModel;
+  applyConfig();
+  renderProviders();
+  renderVaultButton();
+  runSearch();
+  setStatus("Vault locked");
+}
+
+function resetIdleLock() {
+  if (!vault.cfg) return;
+  clearTimeout(vault.idleTimer);
+  const minutes = storedVault()?.idleMinutes || VAULT_DEFAULT_IDLE_MINUTES;
+  vault.idleTimer = setTimeout(lockVault, minutes * 60_000);
+}
+
+function renderVaultButton() {
+  const btn = el("vaultButton");
+  btn.classList.toggle("hidden", !isVaultEnabled() || !!window.socialConfig);
+  btn.textContent = isVaultLocked() ? "🔒 Unlock" : "🔓 Lock";
+}
+
+function openUnlockModal() {
+  const existing = document.querySelector(".modal-overlay");
+  if (existing) existing.remove();
+
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.innerHTML = `
+    <div class="modal">
+      <h3>🔒 Unlock vault</h3>
+      <p class="hint">Your credentials are encrypted. Enter your passphrase to use your accounts, or continue with demo data.</p>
+      <form id="unlockForm">
+        <label class="stacked">
+          <span>Passphrase</span>
+          <input type="password" name="passphrase" autocomplete="current-password" required>
+        </label>
+        <p class="hint vault-error hidden" id="unlockError"></p>
+        <div class="modal__actions">
+          <button type="submit" class="btn primary">Unlock</button>
+          <button type="button" class="btn ghost" data-close>Continue in demo mode</button>
+        </div>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  overlay.querySelector("input").focus();
+
+  overlay.querySelector("[data-close]").addEventListener("click", () => overlay.remove());
+  overlay.addEventListener("click", (e) => { if (e.target === overlay) overlay.remove(); });
+  overlay.querySelector("form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const errorEl = overlay.querySelector("#unlockError");
+    const submit = overlay.querySelector("[type='submit']");
+    submit.disabled = true;
+    try {
+      await unlockVault(new FormData(e.target).get("passphrase"));
+      overlay.remove();
+      onVaultUnlocked();
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove("hidden");
+    } finally {
+      submit.disabled = false;
+    }
+  });
+}
+
+function onVaultUnlocked() {
+  applyConfig();
+  renderProviders();
+  renderVaultButton();
+  runSearch();
+  completeOAuthRedirect();
+  refreshExpiringTokens();
+  processOutbox();
+  setStatus("Vault unlocked");
+  handleShareTarget();
+}
+
 // Search presets stored separately
 const loadSearchPresets = () => safeGetItem("sm_searches", []);
 const saveSearchPresets = (list) => safeSetItem("sm_searches", list);
 
+// Brand voice profiles
+const loadVoiceProfiles = () => safeGetItem("sm_voices", []);
+const saveVoiceProfiles = (list) => safeSetItem("sm_voices", list);
+
+// Prompt templates (with version history) and the per-draft log
+const loadPromptTemplates = () => safeGetItem("sm_prompt_templates", null);
+const savePromptTemplates = (store) => safeSetItem("sm_prompt_templates", store);
+const loadDraftLog = () => safeGetItem("sm_draft_log", []);
+const saveDraftLog = (list) => safeSetItem("sm_draft_log", list);
+
+// Inbox triage state keyed by "provider:id" → { read, handled, at }
+const loadInboxState = () => safeGetItem("sm_inbox", {});
+const saveInboxState = (map) => safeSetItem("sm_inbox", map);
+
 // Default search presets
 const defaultSearchPresets = [
   { label: "Hiring", query: "hiring OR recruiting OR job" },
@@ -92,6 +293,390 @@ const defaultSearchPresets = [
   { label: "Open Source", query: "open source OR OSS OR github" },
 ];
 
+// ═══════════════════════════════════════════════════════════════════════════
+// IndexedDB Helper
+// Larger or structured records (e.g. the outbox) live here instead of localStorage
+// ═══════════════════════════════════════════════════════════════════════════
+const DB_NAME = "social-manager";
+const DB_VERSION = 2;
+const DB_STORES = {
+  outbox: { keyPath: "id" },
+  feedCache: { keyPath: "key" },
+  drafts: { keyPath: "id" },
+};
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      Object.entries(DB_STORES).forEach(([name, opts]) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+      });
+    };
+    // An older tab holding a connection keeps the upgrade waiting until it closes
+    req.onblocked = () => setStatus("Close other Social Manager tabs to finish updating offline storage");
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer version in another tab upgrade; the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  // Allow a later retry if opening failed (e.g. blocked upgrade)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+async function idbRequest(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const idbGetAll = (store) => idbRequest(store, "readonly", (s) => s.getAll());
+const idbGet = (store, key) => idbRequest(store, "readonly", (s) => s.get(key));
+const idbPut = (store, value) => idbRequest(store, "readwrite", (s) => s.put(value));
+const idbDelete = (store, key) => idbRequest(store, "readwrite", (s) => s.delete(key));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OAuth 1.0a Request Signing
+// HMAC-SHA1 signatures via WebCrypto. JSON and multipart bodies are not part
+// of the signature base string; only query and oauth_* params are.
+// ═══════════════════════════════════════════════════════════════════════════
+const textEncoder = new TextEncoder();
+
+function percentEncode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomToken(byteLength = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+const hasOAuth1Keys = (cfg) => !!(cfg.apiKey && cfg.apiSecret && cfg.accessToken && cfg.accessSecret);
+
+async function oauth1Header({
+  method, url, params = {}, consumerKey, consumerSecret, token, tokenSecret,
+  nonce = randomToken(24).replace(/[^a-zA-Z0-9]/g, ""),
+  timestamp = Math.floor(Date.now() / 1000),
+}) {
+  const target = new URL(url);
+  const oauth = {
+    oauth_consumer_key: consumerKey,
+    oauth_nonce: nonce,
+    oauth_signature_method: "HMAC-SHA1",
+    oauth_timestamp: String(timestamp),
+    oauth_token: token,
+    oauth_version: "1.0",
+  };
+  const paramString = [...target.searchParams.entries(), ...Object.entries(params), ...Object.entries(oauth)]
+    .map(([k, v]) => [percentEncode(k), percentEncode(String(v))])
+    .sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : av > bv ? 1 : 0) : ak < bk ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const baseString = [
+    method.toUpperCase(),
+    percentEncode(`${target.origin}${target.pathname}`),
+    percentEncode(paramString),
+  ].join("&");
+  const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret || "")}`;
+  const key = await crypto.subtle.importKey(
+    "raw", textEncoder.encode(signingKey), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, textEncoder.encode(baseString));
+  oauth.oauth_signature = bytesToBase64(signature);
+  return `OAuth ${Object.entries(oauth).map(([k, v]) => `${percentEncode(k)}="${percentEncode(v)}"`).join(", ")}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OAuth 2.0 Sign-in (authorization code + PKCE)
+// The app redirects to the provider and finishes the exchange when it loads
+// again with ?code=…&state=…
+// ═══════════════════════════════════════════════════════════════════════════
+const OAUTH_PROVIDERS = {
+  // X's token endpoint isn't CORS-enabled, so its exchange and refresh also go
+  // through the exchange endpoint even though PKCE needs no secret
+  twitter: {
+    authorizeUrl: "https://twitter.com/i/oauth2/authorize",
+    scopes: ["tweet.read", "tweet.write", "users.read", "media.write", "offline.access"],
+    // OAuth 1.0a keys already use `accessToken`, so PKCE tokens live under `oauth2`
+    tokenKey: "oauth2",
+    pkce: true,
+    exchange: true,
+  },
+  // LinkedIn and Threads need a client secret for the code exchange, so that
+  // step goes through the configurable exchange endpoint (see requestOAuthToken)
+  linkedin: {
+    authorizeUrl: "https://www.linkedin.com/oauth/v2/authorization",
+    scopes: ["openid", "profile", "w_member_social"],
+    exchange: true,
+    refreshLeadMs: 7 * 86400_000,
+  },
+  threads: {
+    authorizeUrl: "https://threads.net/oauth/authorize",
+    scopes: ["threads_basic", "threads_content_publish", "threads_read_replies", "threads_manage_replies"],
+    scopeSeparator: ",",
+    exchange: true,
+    // Long-lived Threads tokens (60 days) refresh themselves without a secret
+    refreshUrl: "https://graph.threads.net/refresh_access_token",
+    refreshGrant: "th_refresh_token",
+    refreshLeadMs: 7 * 86400_000,
+  },
+  // Endpoints live on the user's instance, and the app registers itself there
+  // (POST /api/v1/apps) on first sign-in. Mastodon tokens don't expire.
+  mastodon: {
+    authorizeUrl: (cfg) => `${mastodonInstance(cfg)}/oauth/authorize`,
+    tokenUrl: (cfg) => `${mastodonInstance(cfg)}/oauth/token`,
+    scopes: ["read", "write"],
+    register: true,
+    clientSecret: true,
+  },
+};
+const TOKEN_EXPIRY_WARN_MS = 7 * 86400_000;
+const OAUTH_PENDING_KEY = "sm_oauth_pending";
+
+const oauthRedirectUri = () => `${location.origin}${location.pathname}`;
+
+// Endpoint values may depend on the provider config (per-instance Mastodon URLs)
+const oauthEndpoint = (value, cfg) => (typeof value === "function" ? value(cfg) : value);
+
+// Registers this app on a Mastodon instance and stores its client credentials
+async function registerOAuthApp(providerId) {
+  const cfg = config()[providerId] || {};
+  const res = await fetch(`${mastodonInstance(cfg)}/api/v1/apps`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      client_name: "Social Manager",
+      redirect_uris: oauthRedirectUri(),
+      scopes: OAUTH_PROVIDERS[providerId].scopes.join(" "),
+      website: location.origin,
+    }),
+  });
+  if (!res.ok) throw new Error(`App registration ${res.status}`);
+  const app = await res.json();
+  const newCfg = { ...config() };
+  newCfg[providerId] = { ...cfg, clientId: app.client_id, clientSecret: app.client_secret, registeredFor: oauthRedirectUri() };
+  saveConfig(newCfg);
+  return newCfg[providerId];
+}
+
+function oauthTokens(providerId) {
+  const cfg = config()[providerId] || {};
+  const key = OAUTH_PROVIDERS[providerId]?.tokenKey;
+  return (key ? cfg[key] : cfg) || {};
+}
+
+function storeOAuthTokens(providerId, json) {
+  const current = oauthTokens(providerId);
+  const tokens = {
+    accessToken: json.access_token,
+    // Providers don't always rotate the refresh token
+    refreshToken: json.refresh_token || current.refreshToken,
+    expiresAt: json.expires_in ? Date.now() + json.expires_in * 1000 : null,
+  };
+  const newCfg = { ...config() };
+  const key = OAUTH_PROVIDERS[providerId]?.tokenKey;
+  newCfg[providerId] = key
+    ? { ...newCfg[providerId], [key]: tokens }
+    : { ...newCfg[providerId], ...tokens };
+  saveConfig(newCfg);
+  return tokens;
+}
+
+async function startOAuth(providerId) {
+  const def = OAUTH_PROVIDERS[providerId];
+  let cfg = config()[providerId] || {};
+  if (!def) return;
+  if (def.register) {
+    if (!mastodonInstance(cfg)) {
+      alert("Add your instance URL under Configure first.");
+      return;
+    }
+    // Apps are registered per redirect URI, so a new origin needs a new app
+    if (!cfg.clientId || cfg.registeredFor !== oauthRedirectUri()) {
+      try {
+        cfg = await registerOAuthApp(providerId);
+      } catch (err) {
+        alert(`Unable to register with ${mastodonInstance(cfg)}: ${err.message}`);
+        return;
+      }
+    }
+  }
+  if (!cfg.clientId) {
+    alert("Add an OAuth client ID under Configure first.");
+    return;
+  }
+  if (def.exchange && !config().oauthExchangeEndpoint) {
+    alert("Set the OAuth exchange endpoint in Settings → Providers first.");
+    return;
+  }
+  const verifier = def.pkce ? randomToken(48) : null;
+  const stateToken = randomToken(16);
+  try {
+    sessionStorage.setItem(OAUTH_PENDING_KEY, JSON.stringify({ provider: providerId, state: stateToken, verifier }));
+  } catch (e) {
+    alert("Unable to start sign-in: session storage is not available.");
+    return;
+  }
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: cfg.clientId,
+    redirect_uri: oauthRedirectUri(),
+    scope: def.scopes.join(def.scopeSeparator || " "),
+    state: stateToken,
+  });
+  if (def.pkce) {
+    params.set("code_challenge", base64Url(await crypto.subtle.digest("SHA-256", textEncoder.encode(verifier))));
+    params.set("code_challenge_method", "S256");
+  }
+  location.assign(`${oauthEndpoint(def.authorizeUrl, cfg)}?${params}`);
+}
+
+// Mastodon's per-install apps post straight to the instance's token URL. The
+// others POST JSON { provider, client_id, redirect_uri, grant_type, code | refresh_token,
+// code_verifier? } to the exchange endpoint, which adds any secret, forwards it and
+// returns the provider's { access_token, expires_in, refresh_token? } (long-lived
+// tokens for Threads).
+async function requestOAuthToken(providerId, grant) {
+  const def = OAUTH_PROVIDERS[providerId];
+  const cfg = config()[providerId] || {};
+  const res = def.exchange
+    ? await fetch(config().oauthExchangeEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ provider: providerId, client_id: cfg.clientId, redirect_uri: oauthRedirectUri(), ...grant }),
+    })
+    : await fetch(oauthEndpoint(def.tokenUrl, cfg), {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: cfg.clientId,
+        // Registered Mastodon apps have a secret, but it's ours per install, not a shared one
+        ...(def.clientSecret ? { client_secret: cfg.clientSecret } : {}),
+        ...grant,
+      }),
+    });
+  if (!res.ok) throw new Error(`${providerId} token ${res.status}`);
+  return storeOAuthTokens(providerId, await res.json());
+}
+
+async function refreshOAuthToken(providerId) {
+  const def = OAUTH_PROVIDERS[providerId];
+  const { accessToken, refreshToken } = oauthTokens(providerId);
+  if (def.refreshUrl) {
+    const params = new URLSearchParams({ grant_type: def.refreshGrant, access_token: accessToken });
+    const res = await fetch(`${def.refreshUrl}?${params}`);
+    if (!res.ok) throw new Error(`${providerId} refresh ${res.status}`);
+    return storeOAuthTokens(providerId, await res.json());
+  }
+  if (!refreshToken) throw new Error(`${providerId} session expired, sign in again`);
+  return requestOAuthToken(providerId, { grant_type: "refresh_token", refresh_token: refreshToken });
+}
+
+const canRefreshOAuth = (providerId) =>
+  !!(OAUTH_PROVIDERS[providerId]?.refreshUrl || oauthTokens(providerId).refreshToken);
+
+// Returns a usable access token, refreshing it ahead of expiry when possible
+async function oauthAccessToken(providerId) {
+  const def = OAUTH_PROVIDERS[providerId] || {};
+  const tokens = oauthTokens(providerId);
+  if (!tokens.expiresAt) return tokens.accessToken;
+  const dueForRefresh = tokens.expiresAt - (def.refreshLeadMs ?? 60_000) < Date.now();
+  if (dueForRefresh && canRefreshOAuth(providerId)) {
+    try {
+      return (await refreshOAuthToken(providerId)).accessToken;
+    } catch (err) {
+      if (tokens.expiresAt < Date.now()) throw err;
+      console.warn(`${providerId} token refresh failed, using current token:`, err.message);
+    }
+  }
+  if (tokens.expiresAt < Date.now()) throw new Error(`${providerId} token expired, sign in again`);
+  return tokens.accessToken;
+}
+
+// Days until the stored token expires, or null when unknown / not close
+function tokenExpiryWarning(providerId) {
+  const { expiresAt } = oauthTokens(providerId);
+  if (!expiresAt || expiresAt - Date.now() > TOKEN_EXPIRY_WARN_MS) return null;
+  const days = Math.floor((expiresAt - Date.now()) / 86400_000);
+  if (expiresAt < Date.now()) return "Token expired";
+  return days < 1 ? "Token expires today" : `Token expires in ${days}d`;
+}
+
+// Refresh long-lived tokens in the background so they don't lapse unnoticed
+function refreshExpiringTokens() {
+  Object.keys(OAUTH_PROVIDERS).forEach((id) => {
+    if (!oauthTokens(id).accessToken) return;
+    oauthAccessToken(id)
+      .then(() => renderProviders())
+      .catch((err) => console.warn(`${id} token check failed:`, err.message));
+  });
+}
+
+// Finishes a sign-in when the provider redirects back to the app
+async function completeOAuthRedirect() {
+  const params = new URLSearchParams(location.search);
+  const code = params.get("code");
+  const error = params.get("error");
+  if (!code && !error) return;
+
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(OAUTH_PENDING_KEY) || "null");
+    sessionStorage.removeItem(OAUTH_PENDING_KEY);
+  } catch (e) {
+    console.warn("Unable to read pending OAuth state", e);
+  }
+  // Drop ?code=… so a reload doesn't try to reuse it
+  history.replaceState(null, "", oauthRedirectUri());
+
+  if (!pending || pending.state !== params.get("state")) {
+    setStatus("Sign-in failed: unexpected OAuth response");
+    return;
+  }
+  if (error) {
+    setStatus(`Sign-in to ${pending.provider} cancelled (${error})`);
+    return;
+  }
+  try {
+    const grant = { grant_type: "authorization_code", code, redirect_uri: oauthRedirectUri() };
+    if (pending.verifier) grant.code_verifier = pending.verifier;
+    await requestOAuthToken(pending.provider, grant);
+    state.selectedProviders.add(pending.provider);
+    renderProviders();
+    runSearch();
+    setStatus(`Signed in to ${pending.provider}`);
+  } catch (err) {
+    console.error("OAuth exchange failed:", err);
+    setStatus(`Sign-in to ${pending.provider} failed: ${err.message}`);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TWITTER / X API v2
 // Docs: https://developer.twitter.com/en/docs/twitter-api
@@ -99,26 +684,52 @@ const defaultSearchPresets = [
 const TwitterClient = {
   name: "twitter",
   baseUrl: "https://api.twitter.com/2",
+  uploadUrl: "https://upload.twitter.com/1.1/media/upload.json",
+  uploadChunkBytes: 4 * 1024 * 1024,
 
-  headers() {
+  // Headers for one request. User context (OAuth 2.0 PKCE token, then OAuth 1.0a
+  // keys) is preferred; an app-only bearer token can search but cannot post.
+  async headers(method, url, { userContext = false } = {}) {
     const cfg = config().twitter || {};
-    if (!cfg.bearerToken) return null;
-    return { Authorization: `Bearer ${cfg.bearerToken}`, "Content-Type": "application/json" };
+    let authorization = null;
+    if (cfg.oauth2?.accessToken) {
+      authorization = `Bearer ${await oauthAccessToken("twitter")}`;
+    } else if (hasOAuth1Keys(cfg)) {
+      authorization = await oauth1Header({
+        method,
+        url,
+        consumerKey: cfg.apiKey,
+        consumerSecret: cfg.apiSecret,
+        token: cfg.accessToken,
+        tokenSecret: cfg.accessSecret,
+      });
+    } else if (!userContext && cfg.bearerToken) {
+      authorization = `Bearer ${cfg.bearerToken}`;
+    }
+    if (!authorization) return null;
+    return { Authorization: authorization, "Content-Type": "application/json" };
   },
 
-  async search(query) {
-    const h = this.headers();
-    if (!h) throw new Error("Twitter not configured");
+  async search(query, { cursor, since } = {}) {
     const params = new URLSearchParams({
       query: query || "lang:en -is:retweet",
       max_results: "20",
-      "tweet.fields": "author_id,created_at,public_metrics,conversation_id",
+      "tweet.fields": "author_id,created_at,public_metrics,conversation_id,referenced_tweets",
       expansions: "author_id",
       "user.fields": "name,username,profile_image_url",
     });
-    const res = await fetch(`${this.baseUrl}/tweets/search/recent?${params}`, { headers: h });
+    if (cursor) params.set("next_token", cursor);
+    if (since?.id) params.set("since_id", since.id);
+    const url = `${this.baseUrl}/tweets/search/recent?${params}`;
+    const h = await this.headers("GET", url);
+    if (!h) throw new Error("Twitter not configured");
+    const res = await fetch(url, { headers: h });
     if (!res.ok) throw new Error(`Twitter ${res.status}: ${await res.text()}`);
     const json = await res.json();
+    return { items: this.mapTweets(json), cursor: json.meta?.next_token || null };
+  },
+
+  mapTweets(json) {
     const users = Object.fromEntries((json.includes?.users || []).map((u) => [u.id, u]));
     return (json.data || []).map((t) => {
       const user = users[t.author_id] || {};
@@ -127,28 +738,210 @@ const TwitterClient = {
         author: user.name || "Unknown",
         handle: user.username || "unknown",
         text: t.text,
-        time: relativeTime(t.created_at),
+        createdAt: t.created_at,
         url: `https://twitter.com/${user.username}/status/${t.id}`,
         conversationId: t.conversation_id,
-        metrics: t.public_metrics,
+        parentId: t.referenced_tweets?.find((r) => r.type === "replied_to")?.id,
+        metrics: t.public_metrics && {
+          likes: t.public_metrics.like_count,
+          reposts: t.public_metrics.retweet_count,
+          replies: t.public_metrics.reply_count,
+          quotes: t.public_metrics.quote_count,
+        },
       };
     });
   },
 
-  async post({ text, inReplyTo }) {
-    const h = this.headers();
-    if (!h) return { ok: false, error: "Twitter not configured" };
+  // twitter.com / x.com status links → tweet id
+  parseUrl(url) {
+    const match = url.match(/^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/[^/]+\/status(?:es)?\/(\d+)/i);
+    return match ? { id: match[1] } : null;
+  },
+
+  async lookup({ id }) {
+    const params = new URLSearchParams({
+      "tweet.fields": "author_id,created_at,public_metrics,conversation_id,referenced_tweets",
+      expansions: "author_id",
+      "user.fields": "name,username,profile_image_url",
+    });
+    const url = `${this.baseUrl}/tweets/${id}?${params}`;
+    const h = await this.headers("GET", url);
+    if (!h) throw new Error("Twitter not configured");
+    const res = await fetch(url, { headers: h });
+    if (!res.ok) throw new Error(`Twitter lookup ${res.status}`);
+    const json = await res.json();
+    return json.data ? this.mapTweets({ data: [json.data], includes: json.includes })[0] : null;
+  },
+
+  async getMe() {
+    if (this.me) return this.me;
+    const url = `${this.baseUrl}/users/me`;
+    const h = await this.headers("GET", url, { userContext: true });
+    if (!h) throw new Error("Twitter mentions need user-context credentials");
+    const res = await fetch(url, { headers: h });
+    if (!res.ok) throw new Error(`Twitter user ${res.status}`);
+    this.me = (await res.json()).data;
+    return this.me;
+  },
+
+  async accountHandle() {
+    return (await this.getMe()).username;
+  },
+
+  // Mentions timeline: replies and @-mentions of the signed-in account
+  async notifications({ cursor } = {}) {
+    const me = await this.getMe();
+    const params = new URLSearchParams({
+      max_results: "20",
+      "tweet.fields": "author_id,created_at,public_metrics,conversation_id,referenced_tweets",
+      expansions: "author_id",
+      "user.fields": "name,username,profile_image_url",
+    });
+    if (cursor) params.set("pagination_token", cursor);
+    const url = `${this.baseUrl}/users/${me.id}/mentions?${params}`;
+    const h = await this.headers("GET", url, { userContext: true });
+    const res = await fetch(url, { headers: h });
+    if (!res.ok) throw new Error(`Twitter mentions ${res.status}`);
+    const json = await res.json();
+    return {
+      items: this.mapTweets(json).map((t) => ({ ...t, kind: t.parentId ? "reply" : "mention" })),
+      cursor: json.meta?.next_token || null,
+    };
+  },
+
+  // Other tweets in the conversation (recent search only covers ~7 days)
+  async context(post, { signal } = {}) {
+    if (!post.conversationId) return [];
+    const params = new URLSearchParams({
+      query: `conversation_id:${post.conversationId}`,
+      max_results: "50",
+      "tweet.fields": "author_id,created_at,referenced_tweets",
+      expansions: "author_id",
+      "user.fields": "name,username",
+    });
+    const url = `${this.baseUrl}/tweets/search/recent?${params}`;
+    const h = await this.headers("GET", url);
+    if (!h) throw new Error("Twitter not configured");
+    const res = await fetch(url, { headers: h, signal });
+    if (!res.ok) throw new Error(`Twitter conversation ${res.status}`);
+    const json = await res.json();
+    const users = Object.fromEntries((json.includes?.users || []).map((u) => [u.id, u]));
+    const tweets = (json.data || []).filter((t) => t.id !== post.id);
+    const byId = Object.fromEntries(tweets.map((t) => [t.id, t]));
+    // Walk reply references upwards to tell the post's ancestors from side replies
+    const ancestors = new Set();
+    let parentId = post.conversationId !== post.id ? post.parentId : null;
+    while (parentId && byId[parentId] && !ancestors.has(parentId)) {
+      ancestors.add(parentId);
+      parentId = byId[parentId].referenced_tweets?.find((r) => r.type === "replied_to")?.id;
+    }
+    return tweets
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map((t) => ({
+        handle: users[t.author_id]?.username || "unknown",
+        text: t.text,
+        relation: ancestors.has(t.id) || t.id === post.conversationId ? "ancestor" : "reply",
+      }));
+  },
+
+  // Chunked INIT/APPEND/FINALIZE upload; GIFs are processed async so poll STATUS.
+  // An OAuth 2.0 token (Sign in with X) can only use the v2 endpoints, which need
+  // media.write; OAuth 1.0a keys sign the v1.1 ones, as headers() prefers.
+  async uploadMedia(url) {
+    const blob = await fetchMedia(url);
+    return config().twitter?.oauth2?.accessToken ? this.uploadMediaV2(blob) : this.uploadMediaV1(blob);
+  },
+
+  async awaitMediaProcessing(info, status) {
+    while (info && (info.state === "pending" || info.state === "in_progress")) {
+      await sleep((info.check_after_secs || 1) * 1000);
+      info = await status();
+    }
+    if (info?.state === "failed") throw new Error(`Twitter media processing failed: ${info.error?.message || "unknown"}`);
+  },
+
+  async uploadMediaV1(blob) {
+    // Each call is signed separately; OAuth 1.0a signs query params but not multipart bodies
+    const auth = async (method, target) => {
+      const h = await this.headers(method, target, { userContext: true });
+      if (!h) throw new Error("Twitter media upload needs user-context credentials");
+      return { Authorization: h.Authorization };
+    };
+    const command = async (params, method = "POST") => {
+      const target = `${this.uploadUrl}?${new URLSearchParams(params)}`;
+      const res = await fetch(target, { method, headers: await auth(method, target) });
+      if (!res.ok) throw new Error(`Twitter media ${params.command} ${res.status}`);
+      return res.status === 204 ? {} : res.json();
+    };
+
+    const { media_id_string: mediaId } = await command({
+      command: "INIT",
+      total_bytes: String(blob.size),
+      media_type: blob.type || "image/gif",
+      media_category: "tweet_gif",
+    });
+    for (let offset = 0, segment = 0; offset < blob.size; offset += this.uploadChunkBytes, segment++) {
+      const form = new FormData();
+      form.append("command", "APPEND");
+      form.append("media_id", mediaId);
+      form.append("segment_index", String(segment));
+      form.append("media", blob.slice(offset, offset + this.uploadChunkBytes));
+      const res = await fetch(this.uploadUrl, { method: "POST", headers: await auth("POST", this.uploadUrl), body: form });
+      if (!res.ok) throw new Error(`Twitter media APPEND ${res.status}`);
+    }
+    const finalized = await command({ command: "FINALIZE", media_id: mediaId });
+    await this.awaitMediaProcessing(finalized.processing_info, async () =>
+      (await command({ command: "STATUS", media_id: mediaId }, "GET")).processing_info);
+    return mediaId;
+  },
+
+  // v2 media upload: initialize / append / finalize, then poll STATUS
+  async uploadMediaV2(blob) {
+    const authorization = `Bearer ${await oauthAccessToken("twitter")}`;
+    const call = async (path, { method = "POST", json, form } = {}) => {
+      const res = await fetch(`${this.baseUrl}/media/upload${path}`, {
+        method,
+        headers: json ? { Authorization: authorization, "Content-Type": "application/json" } : { Authorization: authorization },
+        body: json ? JSON.stringify(json) : form,
+      });
+      if (!res.ok) throw new Error(`Twitter media upload ${res.status}`);
+      return res.status === 204 ? {} : res.json();
+    };
+
+    const { data: { id: mediaId } } = await call("/initialize", {
+      json: { media_type: blob.type || "image/gif", total_bytes: blob.size, media_category: "tweet_gif" },
+    });
+    for (let offset = 0, segment = 0; offset < blob.size; offset += this.uploadChunkBytes, segment++) {
+      const form = new FormData();
+      form.append("segment_index", String(segment));
+      form.append("media", blob.slice(offset, offset + this.uploadChunkBytes));
+      await call(`/${mediaId}/append`, { form });
+    }
+    const finalized = await call(`/${mediaId}/finalize`);
+    await this.awaitMediaProcessing(finalized.data?.processing_info, async () =>
+      (await call(`?${new URLSearchParams({ command: "STATUS", media_id: mediaId })}`, { method: "GET" })).data?.processing_info);
+    return mediaId;
+  },
+
+  async post({ text, gifUrl, inReplyTo }) {
+    const url = `${this.baseUrl}/tweets`;
+    const h = await this.headers("POST", url, { userContext: true });
+    if (!h) {
+      const cfg = config().twitter || {};
+      return { ok: false, error: cfg.bearerToken ? "Twitter posting needs OAuth user credentials" : "Twitter not configured" };
+    }
     const body = { text };
+    if (gifUrl) body.media = { media_ids: [await this.uploadMedia(gifUrl)] };
     if (inReplyTo) {
       const match = inReplyTo.match(/status\/(\d+)/);
       if (match) body.reply = { in_reply_to_tweet_id: match[1] };
     }
-    const res = await fetch(`${this.baseUrl}/tweets`, {
+    const res = await fetch(url, {
       method: "POST", headers: h, body: JSON.stringify(body),
     });
     if (!res.ok) return { ok: false, error: `Twitter post ${res.status}` };
     const json = await res.json();
-    return { ok: true, url: `https://twitter.com/i/status/${json.data?.id}` };
+    return { ok: true, id: json.data?.id, url: `https://twitter.com/i/status/${json.data?.id}` };
   },
 };
 
@@ -159,6 +952,7 @@ const TwitterClient = {
 const BlueskyClient = {
   name: "bluesky",
   baseUrl: "https://bsky.social/xrpc",
+  maxImageBytes: 1_000_000,
   session: null,
 
   async authenticate() {
@@ -176,49 +970,204 @@ const BlueskyClient = {
     return this.session;
   },
 
-  async search(query) {
+  async search(query, { cursor, since } = {}) {
     const sess = await this.authenticate();
     const params = new URLSearchParams({ q: query || "*", limit: "25" });
+    if (cursor) params.set("cursor", cursor);
+    // searchPosts cursors only page backwards, so polling filters by time instead
+    if (since?.createdAt) {
+      params.set("since", since.createdAt);
+      params.set("sort", "latest");
+    }
     const res = await fetch(`${this.baseUrl}/app.bsky.feed.searchPosts?${params}`, {
       headers: { Authorization: `Bearer ${sess.accessJwt}` },
     });
     if (!res.ok) throw new Error(`Bluesky search ${res.status}`);
     const json = await res.json();
-    return (json.posts || []).map((p) => ({
+    return { items: (json.posts || []).map((p) => this.mapPost(p)), cursor: json.cursor || null };
+  },
+
+  mapPost(p) {
+    return {
       id: p.uri,
       author: p.author?.displayName || p.author?.handle || "Unknown",
       handle: p.author?.handle || "unknown",
       text: p.record?.text || "",
-      time: relativeTime(p.record?.createdAt || p.indexedAt),
+      createdAt: p.record?.createdAt || p.indexedAt,
+      // Post views carry counts; notification records don't
+      metrics: p.likeCount == null ? undefined : {
+        likes: p.likeCount,
+        reposts: p.repostCount,
+        replies: p.replyCount,
+        quotes: p.quoteCount,
+      },
       url: `https://bsky.app/profile/${p.author?.handle}/post/${p.uri.split("/").pop()}`,
       cid: p.cid,
       uri: p.uri,
-    }));
+      // A top-level post is its own root; replies carry their thread's root ref
+      root: p.record?.reply?.root || { uri: p.uri, cid: p.cid },
+      replyParent: p.record?.reply?.parent,
+    };
   },
 
-  async post({ text, inReplyTo }) {
+  // bsky.app/profile/{handle or did}/post/{rkey}
+  parseUrl(url) {
+    const match = url.match(/^https?:\/\/(?:www\.)?bsky\.app\/profile\/([^/]+)\/post\/([^/?#]+)/i);
+    return match ? { actor: decodeURIComponent(match[1]), rkey: match[2] } : null;
+  },
+
+  async lookup({ actor, rkey }) {
     const sess = await this.authenticate();
-    const record = {
-      $type: "app.bsky.feed.post",
-      text,
-      createdAt: new Date().toISOString(),
-    };
-    // If replying, we need parent ref
-    if (inReplyTo && state.selectedMessage?.uri && state.selectedMessage?.cid) {
-      record.reply = {
-        root: { uri: state.selectedMessage.uri, cid: state.selectedMessage.cid },
-        parent: { uri: state.selectedMessage.uri, cid: state.selectedMessage.cid },
-      };
-    }
-    const res = await fetch(`${this.baseUrl}/com.atproto.repo.createRecord`, {
-      method: "POST",
-      headers: { Authorization: `Bearer ${sess.accessJwt}`, "Content-Type": "application/json" },
-      body: JSON.stringify({ repo: sess.did, collection: "app.bsky.feed.post", record }),
+    const did = actor.startsWith("did:") ? actor : await this.resolveHandle(actor);
+    if (!did) throw new Error(`Unknown Bluesky handle ${actor}`);
+    const params = new URLSearchParams({ uris: `at://${did}/app.bsky.feed.post/${rkey}` });
+    const res = await fetch(`${this.baseUrl}/app.bsky.feed.getPosts?${params}`, {
+      headers: { Authorization: `Bearer ${sess.accessJwt}` },
     });
-    if (!res.ok) return { ok: false, error: `Bluesky post ${res.status}` };
+    if (!res.ok) throw new Error(`Bluesky lookup ${res.status}`);
     const json = await res.json();
-    const rkey = json.uri?.split("/").pop();
-    return { ok: true, url: `https://bsky.app/profile/${sess.handle}/post/${rkey}` };
+    return json.posts?.[0] ? this.mapPost(json.posts[0]) : null;
+  },
+
+  // Notifications carry the post record inline, so they map like search hits
+  async notifications({ cursor } = {}) {
+    const sess = await this.authenticate();
+    const params = new URLSearchParams({ limit: "50" });
+    if (cursor) params.set("cursor", cursor);
+    const res = await fetch(`${this.baseUrl}/app.bsky.notification.listNotifications?${params}`, {
+      headers: { Authorization: `Bearer ${sess.accessJwt}` },
+    });
+    if (!res.ok) throw new Error(`Bluesky notifications ${res.status}`);
+    const json = await res.json();
+    const items = (json.notifications || [])
+      .filter((n) => ["mention", "reply", "quote"].includes(n.reason))
+      .map((n) => ({ ...this.mapPost(n), kind: n.reason }));
+    return { items, cursor: json.cursor || null };
+  },
+
+  // Builds the strongRef pair for a reply. The root comes from the parent's own
+  // reply refs, fetched via getPostThread when the post didn't arrive with them.
+  async replyRefs(replyTo) {
+    if (replyTo.root && replyTo.cid) {
+      return { root: replyTo.root, parent: { uri: replyTo.uri, cid: replyTo.cid } };
+    }
+    const sess = await this.authenticate();
+    const params = new URLSearchParams({ uri: replyTo.uri, depth: "0", parentHeight: "0" });
+    const res = await fetch(`${this.baseUrl}/app.bsky.feed.getPostThread?${params}`, {
+      headers: { Authorization: `Bearer ${sess.accessJwt}` },
+    });
+    if (!res.ok) throw new Error(`Bluesky thread ${res.status}`);
+    const json = await res.json();
+    const post = json.thread?.post;
+    if (!post) throw new Error("Bluesky parent post not found");
+    const parent = { uri: post.uri, cid: post.cid };
+    return { root: post.record?.reply?.root || parent, parent };
+  },
+
+  // Parent chain plus direct replies from getPostThread
+  async accountHandle() {
+    return config().bluesky?.handle || null;
+  },
+
+  async context(post, { signal } = {}) {
+    if (!post.uri) return [];
+    const sess = await this.authenticate();
+    const params = new URLSearchParams({ uri: post.uri, depth: "1", parentHeight: "10" });
+    const res = await fetch(`${this.baseUrl}/app.bsky.feed.getPostThread?${params}`, {
+      headers: { Authorization: `Bearer ${sess.accessJwt}` },
+      signal,
+    });
+    if (!res.ok) throw new Error(`Bluesky thread ${res.status}`);
+    const { thread } = await res.json();
+    const toItem = (node, relation) => ({
+      handle: node.post?.author?.handle || "unknown",
+      text: node.post?.record?.text || "",
+      relation,
+    });
+    const ancestors = [];
+    for (let node = thread?.parent; node?.post; node = node.parent) ancestors.unshift(toItem(node, "ancestor"));
+    const replies = (thread?.replies || []).filter((r) => r.post).map((r) => toItem(r, "reply"));
+    return [...ancestors, ...replies];
+  },
+
+  async resolveHandle(handle) {
+    const params = new URLSearchParams({ handle });
+    const res = await fetch(`${this.baseUrl}/com.atproto.identity.resolveHandle?${params}`);
+    if (!res.ok) return null;
+    const json = await res.json();
+    return json.did || null;
+  },
+
+  // Turns mentions, links and hashtags into app.bsky.richtext.facet records.
+  // Mentions that don't resolve to a DID are left as plain text.
+  async facets(text) {
+    const segments = detectRichText(text);
+    const dids = await Promise.all(segments.map((seg) =>
+      seg.type === "mention" ? this.resolveHandle(seg.value).catch(() => null) : null
+    ));
+    return segments.map((seg, idx) => {
+      const index = { byteStart: utf8Length(text.slice(0, seg.start)), byteEnd: utf8Length(text.slice(0, seg.end)) };
+      switch (seg.type) {
+        case "mention":
+          return dids[idx] && { index, features: [{ $type: "app.bsky.richtext.facet#mention", did: dids[idx] }] };
+        case "link":
+          return { index, features: [{ $type: "app.bsky.richtext.facet#link", uri: seg.value }] };
+        case "tag":
+          return { index, features: [{ $type: "app.bsky.richtext.facet#tag", tag: seg.value }] };
+        default:
+          return null;
+      }
+    }).filter(Boolean);
+  },
+
+  // Images over the blob limit fall back to a link card so the post still goes out
+  async mediaEmbed(sess, url) {
+    const alt = gifAltText(url);
+    const blob = await fetchMedia(url);
+    if (blob.size > this.maxImageBytes) {
+      return { $type: "app.bsky.embed.external", external: { uri: url, title: alt, description: "" } };
+    }
+    const res = await fetch(`${this.baseUrl}/com.atproto.repo.uploadBlob`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${sess.accessJwt}`, "Content-Type": blob.type || "image/gif" },
+      body: blob,
+    });
+    if (!res.ok) throw new Error(`Bluesky upload ${res.status}`);
+    const json = await res.json();
+    return { $type: "app.bsky.embed.images", images: [{ alt, image: json.blob }] };
+  },
+
+  async post({ text, gifUrl, inReplyTo, replyTo }) {
+    const sess = await this.authenticate();
+    const record = {
+      $type: "app.bsky.feed.post",
+      text,
+      createdAt: new Date().toISOString(),
+    };
+    const facets = await this.facets(text);
+    if (facets.length) record.facets = facets;
+    if (gifUrl) record.embed = await this.mediaEmbed(sess, gifUrl);
+    // If replying, we need both the parent and the thread root refs
+    if (inReplyTo && replyTo?.uri) {
+      record.reply = await this.replyRefs(replyTo);
+    }
+    const res = await fetch(`${this.baseUrl}/com.atproto.repo.createRecord`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${sess.accessJwt}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ repo: sess.did, collection: "app.bsky.feed.post", record }),
+    });
+    if (!res.ok) return { ok: false, error: `Bluesky post ${res.status}` };
+    const json = await res.json();
+    const rkey = json.uri?.split("/").pop();
+    return {
+      ok: true,
+      id: json.uri,
+      url: `https://bsky.app/profile/${sess.handle}/post/${rkey}`,
+      uri: json.uri,
+      cid: json.cid,
+      // Lets a follow-up reply (e.g. the next post in a thread) keep the same root
+      root: record.reply?.root || { uri: json.uri, cid: json.cid },
+    };
   },
 };
 
@@ -232,11 +1181,11 @@ const LinkedInClient = {
   baseUrl: "https://api.linkedin.com/v2",
   restUrl: "https://api.linkedin.com/rest",
 
-  headers() {
+  async headers() {
     const cfg = config().linkedin || {};
     if (!cfg.accessToken) return null;
     return {
-      Authorization: `Bearer ${cfg.accessToken}`,
+      Authorization: `Bearer ${await oauthAccessToken("linkedin")}`,
       "Content-Type": "application/json",
       "X-Restli-Protocol-Version": "2.0.0",
       "LinkedIn-Version": "202312",
@@ -244,68 +1193,160 @@ const LinkedInClient = {
   },
 
   async getProfile() {
-    const h = this.headers();
+    const h = await this.headers();
     if (!h) throw new Error("LinkedIn not configured");
     const res = await fetch(`${this.restUrl}/me`, { headers: h });
     if (!res.ok) throw new Error(`LinkedIn profile ${res.status}`);
     return res.json();
   },
 
-  async search(query) {
-    const h = this.headers();
+  // vanityName only comes back with the basic-profile permission
+  async accountHandle() {
+    return (await this.getProfile()).vanityName || null;
+  },
+
+  pageSize: 20,
+
+  // LinkedIn pages by offset, so the cursor is the next `start`
+  nextStart(json, start) {
+    const total = json.paging?.total;
+    const next = start + (json.elements?.length || 0);
+    if (!json.elements?.length || (total != null ? next >= total : json.elements.length < this.pageSize)) return null;
+    return String(next);
+  },
+
+  async search(query, { cursor } = {}) {
+    const h = await this.headers();
     if (!h) throw new Error("LinkedIn not configured");
     // LinkedIn doesn't have a public search API for posts
     // We'll fetch the user's feed instead
-    const params = new URLSearchParams({ q: "feedUpdates", count: "20" });
+    const start = parseInt(cursor || "0", 10);
+    const params = new URLSearchParams({ q: "feedUpdates", count: String(this.pageSize), start: String(start) });
     const res = await fetch(`${this.baseUrl}/feed?${params}`, { headers: h });
     if (!res.ok) {
       // Fall back to mock if feed access denied
       console.warn("LinkedIn feed access limited, using activity");
-      return this.getActivity(query);
+      return this.getActivity(query, { cursor });
     }
     const json = await res.json();
-    return (json.elements || []).map((el, idx) => ({
-      id: el.id || `li-${idx}`,
+    const items = (json.elements || []).map((el, idx) => ({
+      id: el.id || `li-${start + idx}`,
       author: el.actor?.name || "LinkedIn User",
       handle: el.actor?.vanityName || "user",
       text: el.commentary || el.specificContent?.["com.linkedin.ugc.ShareContent"]?.shareCommentary?.text || "",
-      time: relativeTime(el.created?.time),
+      createdAt: el.created?.time,
       url: el.permaLink || `https://linkedin.com/feed/update/${el.id}`,
     })).filter((p) => !query || p.text.toLowerCase().includes(query.toLowerCase()));
+    return { items, cursor: this.nextStart(json, start) };
   },
 
-  async getActivity(query) {
+  async getActivity(query, { cursor } = {}) {
     // Simplified: return user's own posts
-    const h = this.headers();
+    const h = await this.headers();
     const profile = await this.getProfile();
     const urn = profile.id || profile.sub;
-    const res = await fetch(`${this.baseUrl}/ugcPosts?q=authors&authors=List(urn:li:person:${urn})&count=10`, { headers: h });
-    if (!res.ok) return [];
+    const start = parseInt(cursor || "0", 10);
+    const res = await fetch(`${this.baseUrl}/ugcPosts?q=authors&authors=List(urn:li:person:${urn})&count=${this.pageSize}&start=${start}`, { headers: h });
+    if (!res.ok) return { items: [], cursor: null };
     const json = await res.json();
-    return (json.elements || []).map((p, idx) => ({
+    const items = (json.elements || []).map((p, idx) => ({
       id: p.id,
       author: profile.localizedFirstName + " " + profile.localizedLastName,
       handle: profile.vanityName || "me",
       text: p.specificContent?.["com.linkedin.ugc.ShareContent"]?.shareCommentary?.text || "",
-      time: relativeTime(p.created?.time),
+      createdAt: p.created?.time,
       url: `https://linkedin.com/feed/update/${p.id}`,
     })).filter((p) => !query || p.text.toLowerCase().includes(query.toLowerCase()));
+    return { items, cursor: this.nextStart(json, start) };
+  },
+
+  // Comments on our recent posts; there is no notifications API for members.
+  // Pages walk back through our own posts.
+  async notifications({ cursor } = {}) {
+    const h = await this.headers();
+    if (!h) throw new Error("LinkedIn not configured");
+    const { items: posts, cursor: next } = await this.getActivity("", { cursor });
+    const perPost = await Promise.all(posts.map(async (post) => {
+      const res = await fetch(`${this.baseUrl}/socialActions/${encodeURIComponent(post.id)}/comments`, { headers: h });
+      if (!res.ok) return [];
+      const json = await res.json();
+      // Only the commenter's URN comes back; reading other members' profiles
+      // needs partner access, so they are shown as unknown
+      return (json.elements || []).map((c) => ({
+        id: c.$URN || c.id,
+        author: "Unknown LinkedIn member",
+        handle: "unknown",
+        text: c.message?.text || "",
+        createdAt: c.created?.time,
+        url: post.url,
+        // The share it was left on, so a reply can be posted as a nested comment
+        parentId: post.id,
+        kind: "comment",
+      }));
+    }));
+    return { items: perPost.flat(), cursor: next };
+  },
+
+  // Register an image asset, PUT the bytes to the returned upload URL
+  async uploadImage(owner, url) {
+    const h = await this.headers();
+    const reg = await fetch(`${this.baseUrl}/assets?action=registerUpload`, {
+      method: "POST",
+      headers: h,
+      body: JSON.stringify({
+        registerUploadRequest: {
+          recipes: ["urn:li:digitalmediaRecipe:feedshare-image"],
+          owner,
+          serviceRelationships: [{ relationshipType: "OWNER", identifier: "urn:li:userGeneratedContent" }],
+        },
+      }),
+    });
+    if (!reg.ok) throw new Error(`LinkedIn upload register ${reg.status}`);
+    const { value } = await reg.json();
+    const uploadUrl = value?.uploadMechanism?.["com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest"]?.uploadUrl;
+    if (!uploadUrl || !value.asset) throw new Error("LinkedIn upload URL missing");
+    const blob = await fetchMedia(url);
+    const put = await fetch(uploadUrl, { method: "PUT", headers: { Authorization: h.Authorization }, body: blob });
+    if (!put.ok) throw new Error(`LinkedIn upload ${put.status}`);
+    return value.asset;
+  },
+
+  // Answers a comment from the inbox with a nested comment on the same share
+  async replyToComment(h, actor, comment, text) {
+    const res = await fetch(`${this.baseUrl}/socialActions/${encodeURIComponent(comment.parentId)}/comments`, {
+      method: "POST",
+      headers: h,
+      body: JSON.stringify({ actor, object: comment.parentId, parentComment: comment.id, message: { text } }),
+    });
+    if (!res.ok) return { ok: false, error: `LinkedIn comment ${res.status}` };
+    const json = await res.json();
+    return { ok: true, id: json.$URN || json.id, url: comment.url };
   },
 
-  async post({ text }) {
-    const h = this.headers();
+  async post({ text, gifUrl, replyTo }) {
+    const h = await this.headers();
     if (!h) return { ok: false, error: "LinkedIn not configured" };
     const profile = await this.getProfile();
     const urn = `urn:li:person:${profile.id || profile.sub}`;
+    if (replyTo?.provider === "linkedin" && replyTo.kind === "comment") {
+      // Never fall through to a public post when the reply was meant for a comment
+      if (replyTo.isDemo || !replyTo.parentId) return { ok: false, error: "Can't reply to this LinkedIn comment" };
+      if (gifUrl) return { ok: false, error: "LinkedIn comment replies can't include a GIF" };
+      return this.replyToComment(h, urn, replyTo, text);
+    }
+    const share = {
+      shareCommentary: { text },
+      shareMediaCategory: "NONE",
+    };
+    if (gifUrl) {
+      const asset = await this.uploadImage(urn, gifUrl);
+      share.shareMediaCategory = "IMAGE";
+      share.media = [{ status: "READY", media: asset, title: { text: gifAltText(gifUrl) } }];
+    }
     const body = {
       author: urn,
       lifecycleState: "PUBLISHED",
-      specificContent: {
-        "com.linkedin.ugc.ShareContent": {
-          shareCommentary: { text },
-          shareMediaCategory: "NONE",
-        },
-      },
+      specificContent: { "com.linkedin.ugc.ShareContent": share },
       visibility: { "com.linkedin.ugc.MemberNetworkVisibility": "PUBLIC" },
     };
     const res = await fetch(`${this.baseUrl}/ugcPosts`, {
@@ -317,6 +1358,198 @@ const LinkedInClient = {
   },
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// MASTODON / Fediverse
+// Docs: https://docs.joinmastodon.org/client/intro/
+// ═══════════════════════════════════════════════════════════════════════════
+const MASTODON_VISIBILITIES = ["public", "unlisted", "private", "direct"];
+
+// "mastodon.social" or "https://mastodon.social/" → "https://mastodon.social"
+function mastodonInstance(cfg = config().mastodon || {}) {
+  const url = (cfg.instanceUrl || "").trim().replace(/\/+$/, "");
+  if (!url) return "";
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+// Mastodon replies are addressed by @mention (the web client adds it the same
+// way). Applied before length checks and thread splitting so the limit counts it.
+function withReplyMention(text, replyTo) {
+  const mention = replyTo?.provider === "mastodon" && replyTo.handle ? `@${replyTo.handle}` : "";
+  return mention && text.trim() && !text.includes(mention) ? `${mention} ${text}` : text;
+}
+
+const MastodonClient = {
+  name: "mastodon",
+  pageSize: 20,
+
+  async headers() {
+    const cfg = config().mastodon || {};
+    if (!cfg.accessToken || !mastodonInstance(cfg)) return null;
+    return { Authorization: `Bearer ${await oauthAccessToken("mastodon")}`, "Content-Type": "application/json" };
+  },
+
+  async get(path, params, { signal } = {}) {
+    const h = await this.headers();
+    if (!h) throw new Error("Mastodon not configured");
+    const res = await fetch(`${mastodonInstance()}${path}${params ? `?${params}` : ""}`, { headers: h, signal });
+    if (!res.ok) throw new Error(`Mastodon ${path} ${res.status}`);
+    return res.json();
+  },
+
+  // Status content is HTML; keep paragraph and line breaks as newlines
+  toText(html) {
+    const withBreaks = (html || "").replace(/<br\s*\/?>/gi, "\n").replace(/<\/p>\s*<p>/gi, "\n\n");
+    return new DOMParser().parseFromString(withBreaks, "text/html").body.textContent || "";
+  },
+
+  mapStatus(raw) {
+    // Boosts carry the original post; reply to that, not the boost
+    const s = raw.reblog || raw;
+    return {
+      id: s.id,
+      author: s.account?.display_name || s.account?.username || "Unknown",
+      handle: s.account?.acct || "unknown",
+      text: s.spoiler_text ? `[CW: ${s.spoiler_text}] ${this.toText(s.content)}` : this.toText(s.content),
+      createdAt: s.created_at,
+      url: s.url || s.uri,
+      parentId: s.in_reply_to_id,
+      visibility: s.visibility,
+      metrics: {
+        likes: s.favourites_count,
+        reposts: s.reblogs_count,
+        replies: s.replies_count,
+      },
+    };
+  },
+
+  // Snowflake-style ids: the numerically smallest is the oldest
+  oldestId(statuses) {
+    return statuses.reduce((min, s) => (!min || s.id.length < min.length || (s.id.length === min.length && s.id < min) ? s.id : min), null);
+  },
+
+  // Full-text search is optional on instances (often only posts you've
+  // interacted with), so single-word queries also read the hashtag timeline
+  async search(query, { cursor, since } = {}) {
+    const q = (query || "").trim();
+    const paging = new URLSearchParams({ limit: String(this.pageSize) });
+    if (cursor) paging.set("max_id", cursor);
+    if (since?.id) paging.set("since_id", since.id);
+    const tag = q.match(/^#?([\p{L}\p{N}_]+)$/u)?.[1];
+    const requests = [];
+    if (!q) {
+      requests.push(this.get("/api/v1/timelines/home", paging));
+    } else {
+      if (!q.startsWith("#")) {
+        const params = new URLSearchParams(paging);
+        params.set("q", q);
+        params.set("type", "statuses");
+        requests.push(this.get("/api/v2/search", params).then((json) => json.statuses || []));
+      }
+      if (tag) requests.push(this.get(`/api/v1/timelines/tag/${encodeURIComponent(tag)}`, paging));
+    }
+    const results = await Promise.allSettled(requests);
+    if (results.every((r) => r.status === "rejected")) throw results[0].reason;
+    const statuses = results.flatMap((r) => (r.status === "fulfilled" ? r.value : []));
+    const seen = new Set();
+    const items = statuses
+      .map((s) => this.mapStatus(s))
+      .filter((item) => !seen.has(item.id) && seen.add(item.id));
+    return { items, cursor: statuses.length ? this.oldestId(statuses) : null };
+  },
+
+  async accountHandle() {
+    return (await this.get("/api/v1/accounts/verify_credentials")).acct;
+  },
+
+  // Per-instance status limits; /api/v2/instance is public, so no token is needed
+  async instanceLimits() {
+    const res = await fetch(`${mastodonInstance()}/api/v2/instance`);
+    if (!res.ok) throw new Error(`Mastodon instance ${res.status}`);
+    const statuses = (await res.json()).configuration?.statuses || {};
+    return { maxCharacters: statuses.max_characters, charactersPerUrl: statuses.characters_reserved_per_url };
+  },
+
+  async context(post, { signal } = {}) {
+    const json = await this.get(`/api/v1/statuses/${post.id}/context`, null, { signal });
+    const line = (s, relation) => ({ handle: s.account?.acct || "unknown", text: this.toText(s.content), relation });
+    return [
+      ...(json.ancestors || []).map((s) => line(s, "ancestor")),
+      ...(json.descendants || []).map((s) => line(s, "reply")),
+    ];
+  },
+
+  async notifications({ cursor } = {}) {
+    const params = new URLSearchParams({ limit: "30" });
+    params.append("types[]", "mention");
+    if (cursor) params.set("max_id", cursor);
+    const json = await this.get("/api/v1/notifications", params);
+    const items = json
+      .filter((n) => n.status)
+      .map((n) => ({ ...this.mapStatus(n.status), kind: n.status.in_reply_to_id ? "reply" : "mention" }));
+    // Notification ids page the notifications list, not the statuses in it
+    return { items, cursor: json.length ? json[json.length - 1].id : null };
+  },
+
+  // https://{instance}/@user/123 or /@user@remote.host/123
+  parseUrl(url) {
+    const match = url.match(/^(https?:\/\/[^/]+)\/@[^/]+\/(\d+)(?:[/?#]|$)/i);
+    return match ? { url, origin: match[1], id: match[2] } : null;
+  },
+
+  // Ids are per instance: remote posts are resolved through our instance's search
+  async lookup({ url, origin, id }) {
+    if (origin.toLowerCase() === mastodonInstance().toLowerCase()) {
+      return this.mapStatus(await this.get(`/api/v1/statuses/${id}`));
+    }
+    const params = new URLSearchParams({ q: url, type: "statuses", resolve: "true", limit: "1" });
+    const json = await this.get("/api/v2/search", params);
+    return json.statuses?.[0] ? this.mapStatus(json.statuses[0]) : null;
+  },
+
+  // Upload, then wait while the instance transcodes (202 → url appears)
+  async uploadMedia(url) {
+    const h = await this.headers();
+    const blob = await fetchMedia(url);
+    const form = new FormData();
+    form.append("file", blob, "media.gif");
+    form.append("description", gifAltText(url));
+    const res = await fetch(`${mastodonInstance()}/api/v2/media`, {
+      method: "POST",
+      headers: { Authorization: h.Authorization },
+      body: form,
+    });
+    if (!res.ok) throw new Error(`Mastodon media ${res.status}`);
+    let media = await res.json();
+    for (let i = 0; !media.url && i < 10; i++) {
+      await sleep(1000);
+      media = await this.get(`/api/v1/media/${media.id}`);
+    }
+    if (!media.url) throw new Error("Mastodon media still processing, try again shortly");
+    return media.id;
+  },
+
+  async post({ text, gifUrl, replyTo, spoilerText, visibility }) {
+    const h = await this.headers();
+    if (!h) return { ok: false, error: "Mastodon not configured" };
+    const inReplyTo = replyTo?.provider === "mastodon" ? replyTo : null;
+    const body = {
+      status: withReplyMention(text, inReplyTo),
+      visibility: visibility || config().mastodon?.visibility || "public",
+    };
+    if (inReplyTo) body.in_reply_to_id = inReplyTo.id;
+    if (spoilerText) body.spoiler_text = spoilerText;
+    if (gifUrl) body.media_ids = [await this.uploadMedia(gifUrl)];
+    const res = await fetch(`${mastodonInstance()}/api/v1/statuses`, {
+      method: "POST",
+      headers: h,
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) return { ok: false, error: `Mastodon post ${res.status}` };
+    const json = await res.json();
+    return { ok: true, id: json.id, url: json.url };
+  },
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // THREADS API (Meta)
 // Docs: https://developers.facebook.com/docs/threads
@@ -331,40 +1564,103 @@ const ThreadsClient = {
     return { "Content-Type": "application/json" };
   },
 
-  token() {
-    return config().threads?.accessToken;
+  async token() {
+    if (!config().threads?.accessToken) return null;
+    return oauthAccessToken("threads");
   },
 
   async getUserId() {
-    const t = this.token();
+    const t = await this.token();
     if (!t) throw new Error("Threads not configured");
     const res = await fetch(`${this.baseUrl}/me?fields=id,username&access_token=${t}`);
     if (!res.ok) throw new Error(`Threads user ${res.status}`);
     return res.json();
   },
 
-  async search(query) {
-    const t = this.token();
+  async accountHandle() {
+    return (await this.getUserId()).username;
+  },
+
+  async search(query, { cursor, limit = 25 } = {}) {
+    const t = await this.token();
     if (!t) throw new Error("Threads not configured");
     const user = await this.getUserId();
     // Threads API: get user's threads
-    const fields = "id,text,timestamp,permalink,username,media_type";
-    const res = await fetch(`${this.baseUrl}/${user.id}/threads?fields=${fields}&limit=25&access_token=${t}`);
+    const params = new URLSearchParams({
+      fields: "id,text,timestamp,permalink,username,media_type",
+      limit: String(limit),
+      access_token: t,
+    });
+    if (cursor) params.set("after", cursor);
+    const res = await fetch(`${this.baseUrl}/${user.id}/threads?${params}`);
     if (!res.ok) throw new Error(`Threads feed ${res.status}`);
     const json = await res.json();
-    return (json.data || []).map((p) => ({
+    const items = (json.data || []).map((p) => ({
       id: p.id,
       author: p.username || user.username || "Threads User",
       handle: p.username || user.username || "user",
       text: p.text || "",
-      time: relativeTime(p.timestamp),
+      createdAt: p.timestamp,
       url: p.permalink || `https://threads.net/@${user.username}/post/${p.id}`,
       mediaType: p.media_type,
     })).filter((p) => !query || p.text.toLowerCase().includes(query.toLowerCase()));
+    // `next` is only present while more pages exist
+    return { items, cursor: json.paging?.next ? json.paging.cursors?.after || null : null };
   },
 
-  async post({ text, gifUrl, inReplyTo }) {
-    const t = this.token();
+  async context(post, { signal } = {}) {
+    const t = await this.token();
+    if (!t) throw new Error("Threads not configured");
+    const params = new URLSearchParams({ fields: "id,text,username,timestamp", access_token: t });
+    const res = await fetch(`${this.baseUrl}/${post.id}/replies?${params}`, { signal });
+    if (!res.ok) throw new Error(`Threads replies ${res.status}`);
+    const json = await res.json();
+    return (json.data || []).map((r) => ({ handle: r.username || "user", text: r.text || "", relation: "reply" }));
+  },
+
+  // threads.net/@user/post/{shortcode}
+  parseUrl(url) {
+    const match = url.match(/^https?:\/\/(?:www\.)?threads\.(?:net|com)\/@[^/]+\/post\/([^/?#]+)/i);
+    return match ? { shortcode: match[1] } : null;
+  },
+
+  // There is no documented shortcode-to-media-id lookup, and the Graph API only
+  // reads our own media, so the permalink is matched among our recent threads
+  lookupNote: "Threads links can only be resolved for your own posts",
+
+  async lookup({ shortcode }) {
+    if (!(await this.token())) throw new Error("Threads not configured");
+    const { items } = await this.search("");
+    return items.find((p) => p.url.includes(`/post/${shortcode}`)) || null;
+  },
+
+  // Replies to our threads, ten threads per page
+  async notifications({ cursor } = {}) {
+    const t = await this.token();
+    if (!t) throw new Error("Threads not configured");
+    const { items: own, cursor: next } = await this.search("", { cursor, limit: 10 });
+    const fields = "id,text,timestamp,permalink,username";
+    const perPost = await Promise.all(own.map(async (post) => {
+      const res = await fetch(`${this.baseUrl}/${post.id}/replies?fields=${fields}&access_token=${t}`);
+      if (!res.ok) return [];
+      const json = await res.json();
+      return (json.data || [])
+        .filter((r) => r.username !== post.handle)
+        .map((r) => ({
+          id: r.id,
+          author: r.username || "Threads User",
+          handle: r.username || "user",
+          text: r.text || "",
+          createdAt: r.timestamp,
+          url: r.permalink || `https://threads.net/@${r.username}/post/${r.id}`,
+          kind: "reply",
+        }));
+    }));
+    return { items: perPost.flat(), cursor: next };
+  },
+
+  async post({ text, gifUrl, replyTo }) {
+    const t = await this.token();
     if (!t) return { ok: false, error: "Threads not configured" };
     const user = await this.getUserId();
 
@@ -375,9 +1671,9 @@ const ThreadsClient = {
       access_token: t,
     });
     if (gifUrl) createParams.set("image_url", gifUrl);
-    if (inReplyTo) {
-      const match = inReplyTo.match(/post\/(\d+)/);
-      if (match) createParams.set("reply_to_id", match[1]);
+    // Permalinks use a shortcode, not the media id, so reply by id
+    if (replyTo?.provider === "threads" && !replyTo.isDemo && replyTo.id) {
+      createParams.set("reply_to_id", replyTo.id);
     }
 
     const createRes = await fetch(`${this.baseUrl}/${user.id}/threads?${createParams}`, { method: "POST" });
@@ -388,7 +1684,7 @@ const ThreadsClient = {
     const publishRes = await fetch(`${this.baseUrl}/${user.id}/threads_publish?creation_id=${containerId}&access_token=${t}`, { method: "POST" });
     if (!publishRes.ok) return { ok: false, error: `Threads publish ${publishRes.status}` };
     const published = await publishRes.json();
-    return { ok: true, url: `https://threads.net/@${user.username}/post/${published.id}` };
+    return { ok: true, id: published.id, url: `https://threads.net/@${user.username}/post/${published.id}` };
   },
 };
 
@@ -407,6 +1703,38 @@ function relativeTime(dateStr) {
   return `${days}d`;
 }
 
+// Facet offsets are UTF-8 byte counts, not JS string (UTF-16) indices
+function utf8Length(str) {
+  return textEncoder.encode(str).length;
+}
+
+// Finds @mentions, URLs and #hashtags; start/end are UTF-16 string indices
+function detectRichText(text) {
+  const segments = [];
+  const trailingPunct = /[.,;:!?)"']+$/;
+  const mentionRe = /(^|[\s(])@((?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)/g;
+  const linkRe = /(^|[\s(])(https?:\/\/[^\s]+)/g;
+  const tagRe = /(^|\s)#([^\s#]+)/gu;
+  let m;
+  while ((m = mentionRe.exec(text))) {
+    const start = m.index + m[1].length;
+    segments.push({ type: "mention", start, end: start + 1 + m[2].length, value: m[2] });
+  }
+  while ((m = linkRe.exec(text))) {
+    const uri = m[2].replace(trailingPunct, "");
+    const start = m.index + m[1].length;
+    segments.push({ type: "link", start, end: start + uri.length, value: uri });
+  }
+  while ((m = tagRe.exec(text))) {
+    const tag = m[2].replace(trailingPunct, "");
+    // Skip pure numbers ("#1") and over-long tags, matching bsky.app
+    if (!tag || /^\d+$/.test(tag) || tag.length > 64) continue;
+    const start = m.index + m[1].length;
+    segments.push({ type: "tag", start, end: start + 1 + tag.length, value: tag });
+  }
+  return segments.sort((a, b) => a.start - b.start);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // GitHub Models API
 // Docs: https://docs.github.com/en/rest/models
@@ -463,6 +1791,269 @@ function getDefaultModels() {
   ];
 }
 
+// Model listings for the other backends share the { id, name, publisher,
+// description, contextWindow, maxOutput } shape; failures return []
+async function fetchModelList(url, headers, mapModel) {
+  try {
+    const res = await fetch(url, { headers });
+    if (!res.ok) {
+      console.warn(`Model list ${res.status} from ${url}`);
+      return [];
+    }
+    return mapModel(await res.json());
+  } catch (err) {
+    console.error(`Failed to fetch models from ${url}:`, err);
+    return [];
+  }
+}
+
+function fetchOpenAIModels({ endpoint, token }) {
+  const base = endpoint.replace(/\/chat\/completions\/?$/, "");
+  return fetchModelList(`${base}/models`, token ? { Authorization: `Bearer ${token}` } : {}, (json) =>
+    (json.data || []).map((m) => ({ id: m.id, name: m.id, publisher: m.owned_by || "", description: "" }))
+  );
+}
+
+function fetchAzureDeployments({ endpoint, token }) {
+  return fetchModelList(`${endpoint.replace(/\/$/, "")}/openai/deployments?api-version=2022-12-01`, { "api-key": token }, (json) =>
+    (json.data || []).map((d) => ({ id: d.id, name: d.id, publisher: "Azure", description: d.model || "" }))
+  );
+}
+
+function fetchAnthropicModels({ endpoint, token }) {
+  return fetchModelList(endpoint.replace(/\/messages\/?$/, "/models"), anthropicHeaders(token), (json) =>
+    (json.data || []).map((m) => ({ id: m.id, name: m.display_name || m.id, publisher: "Anthropic", description: "" }))
+  );
+}
+
+function fetchOllamaModels({ endpoint }) {
+  return fetchModelList(`${endpoint.replace(/\/$/, "")}/api/tags`, {}, (json) =>
+    (json.models || []).map((m) => ({
+      id: m.name,
+      name: m.name,
+      publisher: "Ollama",
+      description: [m.details?.family, m.details?.parameter_size].filter(Boolean).join(" · "),
+    }))
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LLM Backends
+// One adapter per wire protocol. Drafting code only uses completeWithLlm();
+// each backend turns { model, system, messages, maxTokens, temperature } into
+// its own request and pulls the text back out of the response.
+// ═══════════════════════════════════════════════════════════════════════════
+function openAIRequest(url, auth, { model, system, messages, maxTokens, temperature }) {
+  return {
+    url,
+    headers: { "Content-Type": "application/json", ...auth },
+    body: {
+      model,
+      messages: [{ role: "system", content: system }, ...messages],
+      max_tokens: maxTokens,
+      temperature,
+    },
+  };
+}
+
+const parseOpenAIResponse = (json) => json.choices?.[0]?.message?.content;
+const parseOpenAIStreamChunk = (json) => json.choices?.[0]?.delta?.content;
+// Chat-completions APIs can return several choices from one request via `n`
+const parseOpenAIChoices = (json) => (json.choices || []).map((c) => c.message?.content);
+
+function anthropicHeaders(token) {
+  return {
+    "x-api-key": token,
+    "anthropic-version": "2023-06-01",
+    // Required for CORS requests straight from the browser
+    "anthropic-dangerous-direct-browser-access": "true",
+  };
+}
+
+const llmBackends = {
+  github: {
+    label: "GitHub Models",
+    tokenLabel: "API Token (GitHub PAT with models scope)",
+    tokenPlaceholder: "ghp_xxxxxxxxxxxx",
+    defaultEndpoint: "https://models.inference.ai.azure.com/chat/completions",
+    defaultModel: "gpt-4o-mini",
+    needsToken: true,
+    listModels: async (s) => (s.token ? fetchGitHubModels(s.token) : getDefaultModels()),
+    buildRequest: (s, req) => openAIRequest(s.endpoint, { Authorization: `Bearer ${s.token}` }, req),
+    parseResponse: parseOpenAIResponse,
+    streamFormat: "sse",
+    parseStreamChunk: parseOpenAIStreamChunk,
+    parseChoices: parseOpenAIChoices,
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    tokenLabel: "API Key (optional for local servers)",
+    tokenPlaceholder: "sk-…",
+    defaultEndpoint: "https://api.openai.com/v1/chat/completions",
+    defaultModel: "gpt-4o-mini",
+    needsToken: false,
+    listModels: fetchOpenAIModels,
+    buildRequest: (s, req) => openAIRequest(s.endpoint, s.token ? { Authorization: `Bearer ${s.token}` } : {}, req),
+    parseResponse: parseOpenAIResponse,
+    streamFormat: "sse",
+    parseStreamChunk: parseOpenAIStreamChunk,
+    parseChoices: parseOpenAIChoices,
+  },
+  azure: {
+    label: "Azure OpenAI",
+    tokenLabel: "API Key",
+    tokenPlaceholder: "Azure resource key",
+    defaultEndpoint: "https://YOUR-RESOURCE.openai.azure.com",
+    defaultModel: "",
+    defaultApiVersion: "2024-06-01",
+    needsToken: true,
+    listModels: fetchAzureDeployments,
+    // The "model" is the deployment name; the endpoint is the resource URL
+    buildRequest: (s, req) => openAIRequest(
+      `${s.endpoint.replace(/\/$/, "")}/openai/deployments/${encodeURIComponent(s.model)}/chat/completions?api-version=${s.apiVersion}`,
+      { "api-key": s.token },
+      req
+    ),
+    parseResponse: parseOpenAIResponse,
+    streamFormat: "sse",
+    parseStreamChunk: parseOpenAIStreamChunk,
+    parseChoices: parseOpenAIChoices,
+  },
+  anthropic: {
+    label: "Anthropic",
+    tokenLabel: "API Key",
+    tokenPlaceholder: "sk-ant-…",
+    defaultEndpoint: "https://api.anthropic.com/v1/messages",
+    defaultModel: "claude-3-5-haiku-latest",
+    needsToken: true,
+    listModels: fetchAnthropicModels,
+    buildRequest: (s, { model, system, messages, maxTokens, temperature }) => ({
+      url: s.endpoint,
+      headers: { "Content-Type": "application/json", ...anthropicHeaders(s.token) },
+      body: { model, system, messages, max_tokens: maxTokens, temperature },
+    }),
+    parseResponse: (json) => (json.content || []).filter((c) => c.type === "text").map((c) => c.text).join(""),
+    streamFormat: "sse",
+    // Only content_block_delta events carry text; message_start/stop etc. are skipped
+    parseStreamChunk: (json) => (json.type === "content_block_delta" ? json.delta?.text : null),
+  },
+  ollama: {
+    label: "Ollama (local)",
+    tokenLabel: "API Token (not needed)",
+    tokenPlaceholder: "",
+    defaultEndpoint: "http://localhost:11434",
+    defaultModel: "llama3.1",
+    needsToken: false,
+    listModels: fetchOllamaModels,
+    buildRequest: (s, { model, system, messages, maxTokens, temperature }) => ({
+      url: `${s.endpoint.replace(/\/$/, "")}/api/chat`,
+      headers: { "Content-Type": "application/json" },
+      body: {
+        model,
+        messages: [{ role: "system", content: system }, ...messages],
+        stream: false,
+        options: { temperature, num_predict: maxTokens },
+      },
+    }),
+    parseResponse: (json) => json.message?.content,
+    streamFormat: "ndjson",
+    parseStreamChunk: (json) => json.message?.content,
+  },
+};
+
+// Resolves the active backend settings; window.githubModels* globals still override
+function llmSettings(cfg = config()) {
+  const backendId = llmBackends[cfg.llmBackend] ? cfg.llmBackend : "github";
+  const backend = llmBackends[backendId];
+  return {
+    backend: backendId,
+    endpoint: window.githubModelsEndpoint || cfg.llmEndpoint || backend.defaultEndpoint,
+    token: window.githubModelsToken || cfg.llmToken || "",
+    model: window.githubModelsModel || cfg.llmModel || backend.defaultModel,
+    apiVersion: cfg.llmApiVersion || backend.defaultApiVersion,
+  };
+}
+
+const llmReady = (s = llmSettings()) => !llmBackends[s.backend].needsToken || !!s.token;
+
+async function completeWithLlm(req, settings = llmSettings(), { signal } = {}) {
+  const backend = llmBackends[settings.backend];
+  const { url, headers, body } = backend.buildRequest(settings, { model: settings.model, ...req });
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+  if (!res.ok) throw new Error(`${backend.label} error: ${res.status}`);
+  const text = backend.parseResponse(await res.json())?.trim();
+  if (!text) throw new Error("No content from model");
+  return text;
+}
+
+// Returns `n` completions: one request when the backend supports `n`, otherwise
+// parallel calls. Deployments that reject the `n` parameter (a 400/422 naming it)
+// or return fewer choices than asked get the rest from single calls.
+async function completeManyWithLlm(req, n, settings = llmSettings(), { signal } = {}) {
+  const backend = llmBackends[settings.backend];
+  const completeEach = (count) => Promise.all(Array.from({ length: count }, () => completeWithLlm(req, settings, { signal })));
+  if (!backend.parseChoices || n <= 1) return completeEach(n);
+  const { url, headers, body } = backend.buildRequest(settings, { model: settings.model, ...req });
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify({ ...body, n }), signal });
+  if (!res.ok) {
+    // Auth and rate-limit errors would fail n more times; only a rejected `n` retries
+    const detail = res.status === 400 || res.status === 422 ? await res.text().catch(() => "") : "";
+    if (/\bn\b/.test(detail)) return completeEach(n);
+    throw new Error(`${backend.label} error: ${res.status}`);
+  }
+  const texts = backend.parseChoices(await res.json()).map((t) => t?.trim()).filter(Boolean).slice(0, n);
+  return texts.length < n ? [...texts, ...(await completeEach(n - texts.length))] : texts;
+}
+
+// Yields complete lines from a streamed response body
+async function* readLines(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      yield buffer.slice(0, idx).replace(/\r$/, "");
+      buffer = buffer.slice(idx + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Streams a completion (SSE `data:` events or NDJSON), calling onToken with each
+// delta and the text so far. Aborting via `signal` rejects with an AbortError.
+async function streamWithLlm(req, settings = llmSettings(), { signal, onToken } = {}) {
+  const backend = llmBackends[settings.backend];
+  const { url, headers, body } = backend.buildRequest(settings, { model: settings.model, ...req });
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify({ ...body, stream: true }), signal });
+  if (!res.ok) throw new Error(`${backend.label} error: ${res.status}`);
+  let text = "";
+  for await (const line of readLines(res.body)) {
+    const data = backend.streamFormat === "ndjson"
+      ? line.trim()
+      : line.startsWith("data:") ? line.slice(5).trim() : "";
+    if (!data) continue;
+    if (data === "[DONE]") break;
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (e) {
+      continue;
+    }
+    const delta = backend.parseStreamChunk(json);
+    if (delta) {
+      text += delta;
+      onToken?.(delta, text);
+    }
+  }
+  if (!text.trim()) throw new Error("No content from model");
+  return text.trim();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // Provider Registry
 // ═══════════════════════════════════════════════════════════════════════════
@@ -471,6 +2062,7 @@ const providerClients = {
   bluesky: BlueskyClient,
   linkedin: LinkedInClient,
   threads: ThreadsClient,
+  mastodon: MastodonClient,
 };
 
 const providers = [
@@ -478,6 +2070,7 @@ const providers = [
   createProvider({ id: "bluesky", name: "Bluesky", badge: "AT Proto", icon: "fa-brands fa-bluesky" }),
   createProvider({ id: "linkedin", name: "LinkedIn", badge: "OAuth 2.0", icon: "fa-brands fa-linkedin" }),
   createProvider({ id: "threads", name: "Threads", badge: "Graph API", icon: "fa-brands fa-threads" }),
+  createProvider({ id: "mastodon", name: "Mastodon", badge: "ActivityPub", icon: "fa-brands fa-mastodon" }),
 ];
 
 const state = {
@@ -487,6 +2080,20 @@ const state = {
   gifPref: loadGifs(),
   searchPresets: loadSearchPresets().length ? loadSearchPresets() : defaultSearchPresets,
   installPrompt: null,
+  reloadingForUpdate: false,
+  broadcast: { targets: new Set(), variants: {} },
+  candidates: [],
+  threadContext: null,
+  voices: loadVoiceProfiles(),
+  activeVoiceId: null,
+  // Draft-log entry the reply text came from, credited when it's posted
+  chosenDraftId: null,
+  feedMode: safeGetItem("sm_feed_mode", "search"),
+  paging: { generation: 0, query: "", cursors: {}, loading: false },
+  feedSort: safeGetItem("sm_feed_sort", "newest"),
+  incoming: [],
+  pinnedSeen: {},
+  inboxState: loadInboxState(),
 };
 
 const el = (id) => document.getElementById(id);
@@ -518,47 +2125,128 @@ function createProvider({ id, name, badge, icon }) {
     isConfigured: () => {
       const cfg = config()[id] || {};
       switch (id) {
-        case "twitter": return !!cfg.bearerToken;
+        case "twitter": return !!(cfg.bearerToken || hasOAuth1Keys(cfg) || cfg.oauth2?.accessToken);
         case "bluesky": return !!(cfg.handle && cfg.appPassword);
         case "linkedin": return !!cfg.accessToken;
         case "threads": return !!cfg.accessToken;
+        case "mastodon": return !!(cfg.instanceUrl && cfg.accessToken);
         default: return false;
       }
     },
-    async search(query) {
-      if (!client) return fallbackMock(id, query);
+    // Both return { posts, cursor }; cursor is null once results run out.
+    // Demo data only stands in for the first page.
+    // `since` ({ id, createdAt } of the newest post seen) asks for newer items only;
+    // providers that can't filter server-side return their first page instead
+    async search(query, { cursor, since } = {}) {
+      if (!client) return { posts: fallbackMock(id, query), cursor: null };
       try {
-        const items = await client.search(query);
-        return normalizePosts(items, id);
+        const page = await client.search(query, { cursor, since });
+        return { posts: normalizePosts(page.items, id), cursor: page.cursor };
       } catch (err) {
         console.warn(`${id} search failed:`, err.message);
-        return fallbackMock(id, query);
+        // `failed` lets the feed fall back to cached results for this provider
+        return { posts: cursor || since ? [] : fallbackMock(id, query), cursor: null, failed: true };
+      }
+    },
+    // Mentions/replies/comments addressed to us. Never demo data: inbox items are
+    // remembered in sm_inbox and can be replied to.
+    async notifications({ cursor } = {}) {
+      if (!client?.notifications) return { posts: [], cursor: null };
+      try {
+        const page = await client.notifications({ cursor });
+        return { posts: normalizePosts(page.items, id), cursor: page.cursor };
+      } catch (err) {
+        console.warn(`${id} notifications failed:`, err.message);
+        return { posts: [], cursor: null, failed: true };
+      }
+    },
+    // Handle of the signed-in account, or null when unknown
+    async account() {
+      if (!client?.accountHandle) return null;
+      try {
+        return (await client.accountHandle()) || null;
+      } catch (err) {
+        console.warn(`${id} account lookup failed:`, err.message);
+        return null;
+      }
+    },
+    recognizesUrl: (url) => !!client?.parseUrl?.(url),
+    // Why a recognised link may not resolve, when the API only covers some posts
+    lookupNote: client?.lookupNote || null,
+    // The post behind a share/permalink URL, or null if it isn't ours to resolve
+    async lookup(url) {
+      const ref = client?.parseUrl?.(url);
+      if (!ref || !client.lookup) return null;
+      try {
+        const item = await client.lookup(ref);
+        return item ? normalizePosts([item], id)[0] : null;
+      } catch (err) {
+        console.warn(`${id} lookup failed:`, err.message);
+        return null;
+      }
+    },
+    // Surrounding conversation for prompt context; providers without it return []
+    // A stopped draft aborts via `signal`; that is rethrown, other failures mean no context
+    async context(post, { signal } = {}) {
+      if (!client?.context || post.isDemo) return [];
+      try {
+        return await client.context(post, { signal });
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        console.warn(`${id} context failed:`, err.message);
+        return [];
       }
     },
-    async post({ text, gifUrl }) {
+    // replyTo defaults to the selected post; the outbox passes its own stored copy
+    // `options` carries per-network extras (Mastodon content warning/visibility)
+    async post({ text, gifUrl, replyTo = state.selectedMessage, options = {} }) {
       if (!client) return { ok: false, error: "No provider client" };
       try {
-        return await client.post({ text, gifUrl, inReplyTo: state.selectedMessage?.url });
+        // The "GIF: url" marker becomes a real attachment, never posted text
+        return await client.post({
+          // Content warning and visibility only mean something to Mastodon
+          ...(id === "mastodon" ? options : {}),
+          text: stripGif(text),
+          gifUrl: gifUrl || extractGif(text),
+          inReplyTo: replyTo?.url,
+          replyTo,
+        });
       } catch (err) {
-        return { ok: false, error: err.message };
+        // A blocked CORS request fails with the same TypeError as a dropped connection,
+        // so only the browser's own connectivity flag marks a post as offline
+        return { ok: false, error: err.message, offline: !navigator.onLine };
       }
     },
   };
 }
 
+const postKey = (post) => `${post.provider}:${post.id}`;
+
+// ISO string, or null for a missing or unparseable timestamp; LinkedIn reports epoch milliseconds
+function isoTime(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
 function normalizePosts(items, provider) {
   return items.map((item, idx) => ({
     id: item.id || `${provider}-${idx}-${Date.now()}`,
     author: item.author || item.user || item.username || "Unknown",
     handle: item.handle || item.username || item.user || provider,
     text: item.text || item.body || "",
-    time: item.time || "just now",
+    createdAt: isoTime(item.createdAt),
+    metrics: item.metrics,
     url: item.url || item.permalink || item.link || "#",
     provider,
     // Preserve provider-specific fields for replies
     uri: item.uri,
     cid: item.cid,
+    root: item.root,
+    replyParent: item.replyParent,
     conversationId: item.conversationId,
+    parentId: item.parentId,
+    kind: item.kind,
   }));
 }
 
@@ -567,30 +2255,33 @@ function fallbackMock(id, query) {
   const filtered = query
     ? sample.filter((p) => p.text.toLowerCase().includes(query.toLowerCase()))
     : sample;
-  return filtered.map((p, idx) => ({ ...p, id: `${id}-${idx}`, provider: id }));
+  // Always demo-tagged: this also stands in for a configured provider whose call failed
+  return filtered.map((p, idx) => ({ ...p, id: `${id}-${idx}`, provider: id, isDemo: true }));
 }
 
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600_000).toISOString();
+
 function mockPosts(provider) {
   const shared = [
     {
       author: "Alex Kim",
       handle: "alexk",
       text: "Shipping a tiny tool that autogenerates release notes. Who wants early access?",
-      time: "2h",
+      createdAt: hoursAgo(2),
       url: "https://example.com/post/1",
     },
     {
       author: "Priya N.",
       handle: "priyan",
       text: "Hiring a Staff Frontend Engineer to help us redesign data workflows. DMs open.",
-      time: "3h",
+      createdAt: hoursAgo(3),
       url: "https://example.com/post/2",
     },
     {
       author: "DevTools Daily",
       handle: "devtools",
       text: "Threads: Our caching layer rewrite shaved 40% off tail latencies. Here's the postmortem.",
-      time: "6h",
+      createdAt: hoursAgo(6),
       url: "https://example.com/post/3",
     },
   ];
@@ -599,6 +2290,7 @@ function mockPosts(provider) {
     bluesky: "— over the sky",
     linkedin: "— on LinkedIn",
     threads: "— via Threads",
+    mastodon: "— from the fediverse",
   };
   return shared.map((p) => ({ ...p, text: `${p.text} ${flair[provider] || ""}`.trim() }));
 }
@@ -611,7 +2303,7 @@ function renderSearchPresets() {
     const btn = document.createElement("button");
     btn.type = "button";
     btn.className = "btn ghost btn--small";
-    btn.textContent = preset.label;
+    btn.textContent = preset.pinned ? `📌 ${preset.label}` : preset.label;
     btn.addEventListener("click", () => {
       el("searchInput").value = preset.query;
       runSearch(preset.query);
@@ -621,6 +2313,10 @@ function renderSearchPresets() {
 }
 
 function openSettingsModal() {
+  if (isVaultLocked()) {
+    openUnlockModal();
+    return;
+  }
   const existing = document.querySelector(".modal-overlay");
   if (existing) existing.remove();
 
@@ -636,21 +2332,34 @@ function openSettingsModal() {
         <button type="button" class="tab active" data-tab="providers">Providers</button>
         <button type="button" class="tab" data-tab="searches">Search Presets</button>
         <button type="button" class="tab" data-tab="llm">LLM Config</button>
+        <button type="button" class="tab" data-tab="voices">Voices</button>
+        <button type="button" class="tab" data-tab="prompts">Prompts</button>
+        <button type="button" class="tab" data-tab="security">Security</button>
       </div>
       
       <div class="tab-content" data-content="providers">
         <p class="hint">Configure API credentials for each social network.</p>
+        <label class="stacked">
+          <span>OAuth exchange endpoint (X / LinkedIn / Threads sign-in)</span>
+          <input type="text" id="oauthExchangeEndpoint" value="${escapeAttr(cfg.oauthExchangeEndpoint || '')}" placeholder="https://your-worker.example.com/oauth/exchange">
+        </label>
         <div class="provider-config-list">
           ${providers.map((p) => {
-            const provCfg = cfg[p.id] || {};
             const configured = p.isConfigured();
+            const expiry = configured ? tokenExpiryWarning(p.id) : null;
+            const badge = expiry
+              ? `<span class="badge badge--expiring">⚠ ${expiry}</span>`
+              : `<span class="badge ${configured ? 'badge--ok' : 'badge--warn'}">${configured ? '✓ Connected' : 'Not configured'}</span>`;
             return `
               <div class="provider-config-item">
                 <div class="provider-config-header">
                   <span><i class="${p.icon}"></i> <strong>${p.name}</strong></span>
-                  <span class="badge ${configured ? 'badge--ok' : 'badge--warn'}">${configured ? '✓ Connected' : 'Not configured'}</span>
+                  ${badge}
+                </div>
+                <div class="provider-config-actions">
+                  ${OAUTH_PROVIDERS[p.id] ? `<button type="button" class="btn secondary btn--small" data-signin="${p.id}">Sign in</button>` : ""}
+                  <button type="button" class="btn ghost btn--small" data-configure="${p.id}">Configure</button>
                 </div>
-                <button type="button" class="btn ghost btn--small" data-configure="${p.id}">Configure</button>
               </div>
             `;
           }).join("")}
@@ -664,19 +2373,34 @@ function openSettingsModal() {
             <div class="preset-item" data-idx="${idx}">
               <input type="text" class="preset-label" value="${escapeAttr(p.label)}" placeholder="Label">
               <input type="text" class="preset-query" value="${escapeAttr(p.query)}" placeholder="Search query">
+              <label class="preset-pin" title="Alert me about new matches while the app is in the background">
+                <input type="checkbox" class="preset-pinned" ${p.pinned ? "checked" : ""}> Pin
+              </label>
               <button type="button" class="btn ghost btn--small" data-remove="${idx}">✕</button>
             </div>
           `).join("")}
         </div>
         <button type="button" class="btn secondary btn--small" id="addPresetBtn">+ Add Preset</button>
+        <label class="stacked">
+          <span>Auto-refresh</span>
+          <select id="autoRefreshMinutes">
+            ${AUTO_REFRESH_MINUTES.map((m) => `<option value="${m}" ${(Number(cfg.autoRefreshMinutes) || 0) === m ? "selected" : ""}>${m ? `Every ${m} min` : "Off"}</option>`).join("")}
+          </select>
+        </label>
       </div>
 
       <div class="tab-content hidden" data-content="llm">
-        <p class="hint">Configure the GitHub Models endpoint for AI-powered draft generation.</p>
+        <p class="hint">Choose the LLM backend used for AI-powered draft generation.</p>
         <label class="stacked">
-          <span>API Token (GitHub PAT with models scope)</span>
+          <span>Backend</span>
+          <select id="llmBackend">
+            ${Object.entries(llmBackends).map(([id, b]) => `<option value="${id}" ${llmSettings(cfg).backend === id ? 'selected' : ''}>${b.label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="stacked">
+          <span id="llmTokenLabel">API Token</span>
           <div class="input-row">
-            <input type="password" id="llmToken" value="${cfg.llmToken || ''}" placeholder="ghp_xxxxxxxxxxxx">
+            <input type="password" id="llmToken" value="${escapeAttr(cfg.llmToken || '')}">
             <button type="button" class="btn secondary btn--small" id="fetchModelsBtn">Fetch Models</button>
           </div>
         </label>
@@ -689,13 +2413,89 @@ function openSettingsModal() {
         </label>
         <label class="stacked">
           <span>Inference Endpoint (optional override)</span>
-          <input type="text" id="llmEndpoint" value="${cfg.llmEndpoint || ''}" placeholder="https://models.inference.ai.azure.com/chat/completions">
+          <input type="text" id="llmEndpoint" value="${escapeAttr(cfg.llmEndpoint || '')}">
+        </label>
+        <label class="stacked" id="llmApiVersionRow">
+          <span>API Version</span>
+          <input type="text" id="llmApiVersion" value="${escapeAttr(cfg.llmApiVersion || '')}" placeholder="${llmBackends.azure.defaultApiVersion}">
         </label>
       </div>
 
-      <div class="modal__actions">
-        <button type="button" class="btn primary" id="saveSettingsBtn">Save All</button>
-        <button type="button" class="btn ghost" data-close>Cancel</button>
+      <div class="tab-content hidden" data-content="voices">
+        <p class="hint">Voice profiles apply automatically when you reply to a post from their provider.</p>
+        <div id="voiceList" class="voice-list">
+          ${state.voices.map((v) => voiceEditorItem(v)).join("")}
+        </div>
+        <button type="button" class="btn secondary btn--small" id="addVoiceBtn">+ Add Voice</button>
+      </div>
+
+      <div class="tab-content hidden" data-content="prompts">
+        <p class="hint">Edit the prompt sent for drafts. Each save keeps a version you can roll back to.</p>
+        <div class="input-row">
+          <select id="templateSelect"></select>
+          <button type="button" class="btn ghost btn--small" id="newTemplateBtn">+ New</button>
+        </div>
+        <label class="stacked">
+          <span>Name</span>
+          <input type="text" id="templateName">
+        </label>
+        <label class="stacked">
+          <span>Template</span>
+          <textarea id="templateBody" rows="6"></textarea>
+        </label>
+        <div class="template-vars">
+          ${PROMPT_VARIABLES.map((v) => `<button type="button" class="chip" data-var="${v}">{{${v}}}</button>`).join("")}
+        </div>
+        <label class="stacked">
+          <span>Preview${state.selectedMessage ? "" : " (select a post for real values)"}</span>
+          <pre id="templatePreview" class="template-preview"></pre>
+        </label>
+        <div class="input-row">
+          <button type="button" class="btn secondary btn--small" id="saveTemplateBtn">Save version</button>
+          <button type="button" class="btn ghost btn--small" id="useTemplateBtn">Use for drafts</button>
+        </div>
+        <ul id="templateVersions" class="template-versions"></ul>
+      </div>
+
+      <div class="tab-content hidden" data-content="security">
+        <p class="hint">Encrypt stored credentials with a passphrase (AES-GCM, PBKDF2). You'll be asked for it when the app opens, and it locks again after the idle timeout.</p>
+        ${isVaultEnabled() ? `
+          <label class="stacked">
+            <span>Lock after idle (minutes)</span>
+            <input type="number" id="vaultIdle" min="1" value="${storedVault().idleMinutes || VAULT_DEFAULT_IDLE_MINUTES}">
+          </label>
+          <label class="stacked">
+            <span>New passphrase</span>
+            <input type="password" id="vaultPass" autocomplete="new-password">
+          </label>
+          <label class="stacked">
+            <span>Confirm new passphrase</span>
+            <input type="password" id="vaultPassConfirm" autocomplete="new-password">
+          </label>
+          <div class="input-row">
+            <button type="button" class="btn secondary btn--small" id="vaultChangeBtn">Change passphrase</button>
+            <button type="button" class="btn ghost btn--small" id="vaultDisableBtn">Disable vault</button>
+          </div>
+        ` : `
+          <label class="stacked">
+            <span>Passphrase</span>
+            <input type="password" id="vaultPass" autocomplete="new-password">
+          </label>
+          <label class="stacked">
+            <span>Confirm passphrase</span>
+            <input type="password" id="vaultPassConfirm" autocomplete="new-password">
+          </label>
+          <label class="stacked">
+            <span>Lock after idle (minutes)</span>
+            <input type="number" id="vaultIdle" min="1" value="${VAULT_DEFAULT_IDLE_MINUTES}">
+          </label>
+          <button type="button" class="btn secondary btn--small" id="vaultEnableBtn">Enable vault</button>
+        `}
+      </div>
+
+      <div class="modal__actions">
+        <button type="button" class="btn primary" id="saveSettingsBtn">Save All</button>
+        <button type="button" class="btn ghost" data-close>Cancel</button>
       </div>
     </div>
   `;
@@ -715,21 +2515,47 @@ function openSettingsModal() {
   const modelSelect = overlay.querySelector("#llmModel");
   const modelDesc = overlay.querySelector("#modelDescription");
   const tokenInput = overlay.querySelector("#llmToken");
+  const backendSelect = overlay.querySelector("#llmBackend");
+  const endpointInput = overlay.querySelector("#llmEndpoint");
   let availableModels = [];
 
-  async function populateModels(token) {
-    modelSelect.innerHTML = '<option value="">Loading...</option>';
-    availableModels = await fetchGitHubModels(token);
-    modelSelect.innerHTML = availableModels.length
-      ? availableModels.map((m) => `<option value="${m.id}" ${cfg.llmModel === m.id ? 'selected' : ''}>${m.name} (${m.publisher})</option>`).join('')
-      : '<option value="gpt-4o-mini">gpt-4o-mini (default)</option>';
-    // Set saved model if exists
-    if (cfg.llmModel && availableModels.find((m) => m.id === cfg.llmModel)) {
-      modelSelect.value = cfg.llmModel;
+  // Settings as currently typed into the form, for model listing
+  const formLlmSettings = () => llmSettings({
+    llmBackend: backendSelect.value,
+    llmToken: tokenInput.value.trim(),
+    llmEndpoint: endpointInput.value.trim(),
+    llmApiVersion: overlay.querySelector("#llmApiVersion").value.trim(),
+  });
+
+  function updateBackendFields() {
+    const backend = llmBackends[backendSelect.value];
+    overlay.querySelector("#llmTokenLabel").textContent = backend.tokenLabel;
+    tokenInput.placeholder = backend.tokenPlaceholder;
+    endpointInput.placeholder = backend.defaultEndpoint;
+    overlay.querySelector("#llmApiVersionRow").classList.toggle("hidden", backendSelect.value !== "azure");
+  }
+
+  function renderModelOptions() {
+    const savedModel = backendSelect.value === llmSettings(cfg).backend ? cfg.llmModel : "";
+    const selected = savedModel || llmBackends[backendSelect.value].defaultModel;
+    const options = [...availableModels];
+    // Keep a saved or default model selectable even when the listing omits it
+    if (selected && !options.find((m) => m.id === selected)) {
+      options.unshift({ id: selected, name: selected, publisher: "saved" });
     }
+    modelSelect.innerHTML = options.length
+      ? options.map((m) => `<option value="${escapeAttr(m.id)}" ${selected === m.id ? 'selected' : ''}>${escapeHtml(m.name)} (${escapeHtml(m.publisher || "")})</option>`).join('')
+      : '<option value="">No models found</option>';
     updateModelDescription();
   }
 
+  async function populateModels() {
+    modelSelect.innerHTML = '<option value="">Loading...</option>';
+    const settings = formLlmSettings();
+    availableModels = await llmBackends[settings.backend].listModels(settings);
+    renderModelOptions();
+  }
+
   function updateModelDescription() {
     const selected = availableModels.find((m) => m.id === modelSelect.value);
     if (selected) {
@@ -744,24 +2570,28 @@ function openSettingsModal() {
   modelSelect.addEventListener("change", updateModelDescription);
 
   overlay.querySelector("#fetchModelsBtn").addEventListener("click", async () => {
-    const token = tokenInput.value.trim();
-    if (!token) {
-      alert("Enter your GitHub token first");
+    if (!llmReady(formLlmSettings())) {
+      alert(`Enter your ${llmBackends[backendSelect.value].label} token first`);
       return;
     }
-    await populateModels(token);
+    await populateModels();
+  });
+
+  backendSelect.addEventListener("change", () => {
+    updateBackendFields();
+    availableModels = [];
+    renderModelOptions();
+    if (llmReady(formLlmSettings())) populateModels();
   });
 
   // Initial model population
-  if (cfg.llmToken) {
-    populateModels(cfg.llmToken);
+  updateBackendFields();
+  if (llmReady(formLlmSettings())) {
+    populateModels();
   } else {
     // Show defaults
-    availableModels = getDefaultModels();
-    modelSelect.innerHTML = availableModels.map((m) => 
-      `<option value="${m.id}" ${cfg.llmModel === m.id ? 'selected' : ''}>${m.name} (${m.publisher})</option>`
-    ).join('');
-    updateModelDescription();
+    availableModels = backendSelect.value === "github" ? getDefaultModels() : [];
+    renderModelOptions();
   }
 
   // Provider configure buttons
@@ -772,6 +2602,66 @@ function openSettingsModal() {
     });
   });
 
+  overlay.querySelectorAll("[data-signin]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      // Sign-in may need the endpoint typed in this session
+      const endpoint = overlay.querySelector("#oauthExchangeEndpoint").value.trim();
+      if (endpoint !== (config().oauthExchangeEndpoint || "")) {
+        saveConfig({ ...config(), oauthExchangeEndpoint: endpoint });
+      }
+      startOAuth(btn.dataset.signin);
+    });
+  });
+
+  // Vault actions apply immediately rather than on Save All
+  const vaultPassphrase = () => {
+    const pass = overlay.querySelector("#vaultPass").value;
+    if (pass.length < 8) {
+      alert("Use a passphrase of at least 8 characters.");
+      return null;
+    }
+    if (pass !== overlay.querySelector("#vaultPassConfirm").value) {
+      alert("Passphrases don't match.");
+      return null;
+    }
+    return pass;
+  };
+  const vaultIdleMinutes = () => Math.max(1, parseInt(overlay.querySelector("#vaultIdle").value, 10) || VAULT_DEFAULT_IDLE_MINUTES);
+  overlay.querySelector("#vaultEnableBtn")?.addEventListener("click", async () => {
+    const pass = vaultPassphrase();
+    if (!pass) return;
+    try {
+      await enableVault(pass, vaultIdleMinutes());
+    } catch (err) {
+      console.error("Unable to enable vault:", err);
+      alert(`Vault not enabled: ${err.message}. Your settings were left unencrypted.`);
+      return;
+    }
+    overlay.remove();
+    renderVaultButton();
+    setStatus("Vault enabled");
+  });
+  overlay.querySelector("#vaultChangeBtn")?.addEventListener("click", async () => {
+    const pass = vaultPassphrase();
+    if (!pass) return;
+    try {
+      await enableVault(pass, vaultIdleMinutes());
+    } catch (err) {
+      console.error("Unable to change vault passphrase:", err);
+      alert(`Passphrase not changed: ${err.message}. The old passphrase still unlocks the vault.`);
+      return;
+    }
+    overlay.remove();
+    setStatus("Vault passphrase changed");
+  });
+  overlay.querySelector("#vaultDisableBtn")?.addEventListener("click", async () => {
+    if (!confirm("Store credentials unencrypted again?")) return;
+    await disableVault();
+    overlay.remove();
+    renderVaultButton();
+    setStatus("Vault disabled");
+  });
+
   // Add preset
   overlay.querySelector("#addPresetBtn").addEventListener("click", () => {
     const list = overlay.querySelector("#presetList");
@@ -782,12 +2672,100 @@ function openSettingsModal() {
     div.innerHTML = `
       <input type="text" class="preset-label" value="" placeholder="Label">
       <input type="text" class="preset-query" value="" placeholder="Search query">
+      <label class="preset-pin" title="Alert me about new matches while the app is in the background">
+        <input type="checkbox" class="preset-pinned"> Pin
+      </label>
       <button type="button" class="btn ghost btn--small" data-remove="${idx}">✕</button>
     `;
     div.querySelector("[data-remove]").addEventListener("click", () => div.remove());
     list.appendChild(div);
   });
 
+  // Prompt templates
+  const templateStore = promptStore();
+  const templateSelect = overlay.querySelector("#templateSelect");
+  const templateName = overlay.querySelector("#templateName");
+  const templateBodyInput = overlay.querySelector("#templateBody");
+  let editingTemplateId = activeTemplate().id;
+
+  const updateTemplatePreview = () => {
+    overlay.querySelector("#templatePreview").textContent = renderTemplate(templateBodyInput.value, promptVariables());
+  };
+
+  function renderTemplateEditor() {
+    templateSelect.innerHTML = templateStore.templates.map((t) =>
+      `<option value="${escapeAttr(t.id)}">${escapeHtml(t.name)}${t.id === templateStore.activeId ? " (in use)" : ""}</option>`
+    ).join("") + (editingTemplateId ? "" : `<option value="" selected>New template</option>`);
+    const template = templateStore.templates.find((t) => t.id === editingTemplateId);
+    if (template) templateSelect.value = template.id;
+    templateName.value = template?.name || "";
+    templateBodyInput.value = template ? templateBody(template) : templateBody(DEFAULT_TEMPLATE);
+    const stats = template ? templateStats(template.id) : {};
+    overlay.querySelector("#templateVersions").innerHTML = (template?.versions || []).map((v, i) => {
+      const s = stats[i + 1];
+      const current = i === template.versions.length - 1;
+      return `
+        <li>
+          <span>v${i + 1}${v.restoredFrom ? ` (from v${v.restoredFrom})` : ""} · ${v.savedAt ? new Date(v.savedAt).toLocaleString() : "built-in"}</span>
+          <span class="hint">${s ? `${s.drafts} drafts · ${s.posted} posted · ${s.unedited} unedited` : "no drafts"}</span>
+          ${current ? "" : `<button type="button" class="btn ghost btn--small" data-rollback="${i}">Roll back</button>`}
+        </li>
+      `;
+    }).reverse().join("");
+    overlay.querySelectorAll("[data-rollback]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        rollbackTemplate(templateStore, editingTemplateId, parseInt(btn.dataset.rollback, 10));
+        renderTemplateEditor();
+        setStatus("Template rolled back");
+      });
+    });
+    updateTemplatePreview();
+  }
+
+  templateSelect.addEventListener("change", () => {
+    editingTemplateId = templateSelect.value;
+    renderTemplateEditor();
+  });
+  templateBodyInput.addEventListener("input", debounce(updateTemplatePreview, 200));
+  overlay.querySelectorAll("[data-var]").forEach((chip) => {
+    chip.addEventListener("click", () => {
+      templateBodyInput.setRangeText(`{{${chip.dataset.var}}}`, templateBodyInput.selectionStart, templateBodyInput.selectionEnd, "end");
+      templateBodyInput.focus();
+      updateTemplatePreview();
+    });
+  });
+  overlay.querySelector("#newTemplateBtn").addEventListener("click", () => {
+    editingTemplateId = null;
+    renderTemplateEditor();
+    templateName.focus();
+  });
+  overlay.querySelector("#saveTemplateBtn").addEventListener("click", () => {
+    const body = templateBodyInput.value.trim();
+    if (!body) return;
+    editingTemplateId = saveTemplateVersion(templateStore, { id: editingTemplateId, name: templateName.value.trim(), body });
+    renderTemplateEditor();
+    setStatus("Template saved");
+  });
+  overlay.querySelector("#useTemplateBtn").addEventListener("click", () => {
+    if (!editingTemplateId) return;
+    templateStore.activeId = editingTemplateId;
+    savePromptTemplates(templateStore);
+    renderTemplateEditor();
+    setStatus(`Drafting with "${activeTemplate().name}"`);
+  });
+  renderTemplateEditor();
+
+  // Voice profiles
+  const bindVoiceRemove = (item) => {
+    item.querySelector("[data-remove-voice]").addEventListener("click", () => item.remove());
+  };
+  overlay.querySelectorAll(".voice-item").forEach(bindVoiceRemove);
+  overlay.querySelector("#addVoiceBtn").addEventListener("click", () => {
+    const list = overlay.querySelector("#voiceList");
+    list.insertAdjacentHTML("beforeend", voiceEditorItem());
+    bindVoiceRemove(list.lastElementChild);
+  });
+
   // Remove preset buttons
   overlay.querySelectorAll("[data-remove]").forEach((btn) => {
     btn.addEventListener("click", () => btn.closest(".preset-item").remove());
@@ -801,26 +2779,53 @@ function openSettingsModal() {
     presetItems.forEach((item) => {
       const label = item.querySelector(".preset-label").value.trim();
       const query = item.querySelector(".preset-query").value.trim();
-      if (label && query) newPresets.push({ label, query });
+      const pinned = item.querySelector(".preset-pinned").checked;
+      if (label && query) newPresets.push({ label, query, pinned });
     });
     state.searchPresets = newPresets;
     saveSearchPresets(newPresets);
+    // Ask while we still have the click's user activation
+    if (newPresets.some((p) => p.pinned) && "Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+
+    // Save voice profiles
+    state.voices = [...overlay.querySelectorAll(".voice-item")]
+      .map(readVoiceEditor)
+      .filter((v) => v.name);
+    saveVoiceProfiles(state.voices);
+    if (!activeVoice()) state.activeVoiceId = null;
+    renderVoiceSelect();
 
     // Save LLM config
     const newCfg = { ...config() };
+    newCfg.llmBackend = backendSelect.value;
     newCfg.llmEndpoint = overlay.querySelector("#llmEndpoint").value.trim();
     newCfg.llmToken = overlay.querySelector("#llmToken").value.trim();
     newCfg.llmModel = overlay.querySelector("#llmModel").value;
+    // Remember the model's context window so prompts can budget thread context
+    const chosenModel = availableModels.find((m) => m.id === newCfg.llmModel);
+    if (chosenModel?.contextWindow) newCfg.llmContextWindow = chosenModel.contextWindow;
+    else if (newCfg.llmModel !== config().llmModel) delete newCfg.llmContextWindow;
+    newCfg.llmApiVersion = overlay.querySelector("#llmApiVersion").value.trim();
+    newCfg.oauthExchangeEndpoint = overlay.querySelector("#oauthExchangeEndpoint").value.trim();
+    newCfg.autoRefreshMinutes = Number(overlay.querySelector("#autoRefreshMinutes").value);
+    if (isVaultEnabled()) {
+      // The idle timeout lives on the (unencrypted) envelope so it applies before unlock
+      safeSetItem("sm_config", { vault: { ...storedVault(), idleMinutes: vaultIdleMinutes() } });
+      resetIdleLock();
+    }
     saveConfig(newCfg);
 
-    // Update global refs for LLM
-    if (newCfg.llmEndpoint) window.githubModelsEndpoint = newCfg.llmEndpoint;
-    if (newCfg.llmToken) window.githubModelsToken = newCfg.llmToken;
-    if (newCfg.llmModel) window.githubModelsModel = newCfg.llmModel;
+    // Update global refs for LLM (cleared values must not linger across backends)
+    window.githubModelsEndpoint = newCfg.llmEndpoint || undefined;
+    window.githubModelsToken = newCfg.llmToken || undefined;
+    window.githubModelsModel = newCfg.llmModel || undefined;
 
     overlay.remove();
     renderSearchPresets();
     renderProviders();
+    scheduleAutoRefresh();
     setStatus("Settings saved");
   });
 
@@ -833,16 +2838,18 @@ function escapeAttr(str) {
 }
 
 function renderProviders() {
+  renderPostOptions();
   providerGrid.innerHTML = "";
   providers.forEach((p) => {
     const configured = p.isConfigured();
     if (!configured) return; // Only show configured providers
     
     const isActive = state.selectedProviders.has(p.id);
+    const expiry = tokenExpiryWarning(p.id);
     const wrapper = document.createElement("button");
     wrapper.type = "button";
-    wrapper.className = `provider-icon ${isActive ? "active" : ""}`;
-    wrapper.title = `${p.name} (click to ${isActive ? "disable" : "enable"})`;
+    wrapper.className = `provider-icon ${isActive ? "active" : ""} ${expiry ? "provider-icon--expiring" : ""}`;
+    wrapper.title = `${p.name} (click to ${isActive ? "disable" : "enable"})${expiry ? ` · ${expiry}` : ""}`;
     wrapper.innerHTML = `<i class="${p.icon}"></i>`;
     
     wrapper.addEventListener("click", () => {
@@ -863,19 +2870,33 @@ function renderProviders() {
   if (providerGrid.children.length === 0) {
     const hint = document.createElement("div");
     hint.className = "empty";
-    hint.textContent = "Configure providers in Settings to get started";
+    if (isVaultLocked()) {
+      hint.innerHTML = `Vault locked · <button type="button" class="btn ghost btn--small">Unlock</button> to use your accounts`;
+      hint.querySelector("button").addEventListener("click", openUnlockModal);
+    } else {
+      hint.textContent = "Configure providers in Settings to get started";
+    }
     providerGrid.appendChild(hint);
   }
 }
 
 function openConfigModal(providerId) {
+  if (isVaultLocked()) {
+    openUnlockModal();
+    return;
+  }
   const existing = document.querySelector(".modal-overlay");
   if (existing) existing.remove();
 
   const cfg = config()[providerId] || {};
   const fields = {
     twitter: [
-      { key: "bearerToken", label: "Bearer Token", type: "password", hint: "From Twitter Developer Portal" },
+      { key: "bearerToken", label: "Bearer Token (app-only, search)", type: "password", hint: "From Twitter Developer Portal" },
+      { key: "apiKey", label: "API Key (OAuth 1.0a)", type: "password", hint: "Consumer key" },
+      { key: "apiSecret", label: "API Secret (OAuth 1.0a)", type: "password", hint: "Consumer secret" },
+      { key: "accessToken", label: "Access Token (OAuth 1.0a)", type: "password", hint: "User access token with write access" },
+      { key: "accessSecret", label: "Access Token Secret (OAuth 1.0a)", type: "password", hint: "User access token secret" },
+      { key: "clientId", label: "OAuth 2.0 Client ID", type: "text", hint: "For Sign in with X (PKCE, via the exchange endpoint). GIF uploads need the media.write scope: sign in again if you signed in before it was added" },
     ],
     bluesky: [
       { key: "handle", label: "Handle", type: "text", hint: "e.g. you.bsky.social" },
@@ -883,9 +2904,16 @@ function openConfigModal(providerId) {
     ],
     linkedin: [
       { key: "accessToken", label: "Access Token", type: "password", hint: "OAuth 2.0 token with w_member_social scope" },
+      { key: "clientId", label: "OAuth Client ID", type: "text", hint: "For Sign in with LinkedIn" },
     ],
     threads: [
       { key: "accessToken", label: "Access Token", type: "password", hint: "From Meta for Developers" },
+      { key: "clientId", label: "App ID", type: "text", hint: "For Sign in with Threads" },
+    ],
+    mastodon: [
+      { key: "instanceUrl", label: "Instance URL", type: "text", hint: "e.g. https://mastodon.social" },
+      { key: "accessToken", label: "Access Token (optional)", type: "password", hint: "Or use Sign in; from Preferences → Development" },
+      { key: "visibility", label: "Default visibility", type: "select", options: MASTODON_VISIBILITIES },
     ],
   };
 
@@ -899,7 +2927,9 @@ function openConfigModal(providerId) {
         ${providerFields.map((f) => `
           <label class="stacked">
             <span>${f.label}</span>
-            <input type="${f.type}" name="${f.key}" value="${cfg[f.key] || ""}" placeholder="${f.hint}">
+            ${f.options
+              ? `<select name="${f.key}">${f.options.map((o) => `<option value="${o}" ${cfg[f.key] === o ? "selected" : ""}>${o}</option>`).join("")}</select>`
+              : `<input type="${f.type}" name="${f.key}" value="${cfg[f.key] || ""}" placeholder="${f.hint}">`}
           </label>
         `).join("")}
         <div class="modal__actions">
@@ -917,22 +2947,61 @@ function openConfigModal(providerId) {
     e.preventDefault();
     const formData = new FormData(e.target);
     const newCfg = { ...config() };
-    newCfg[providerId] = {};
+    // Keep values that aren't form fields (e.g. tokens from Sign in)
+    newCfg[providerId] = { ...newCfg[providerId] };
+    const previous = config()[providerId] || {};
     providerFields.forEach((f) => {
       const val = formData.get(f.key);
       if (val) newCfg[providerId][f.key] = val;
+      else delete newCfg[providerId][f.key];
     });
+    // Client credentials belong to the instance they were registered on
+    if (providerId === "mastodon" && newCfg.mastodon.instanceUrl !== previous.instanceUrl) {
+      delete newCfg.mastodon.clientId;
+      delete newCfg.mastodon.clientSecret;
+      delete newCfg.mastodon.registeredFor;
+      delete newCfg.mastodon.maxCharacters;
+      delete newCfg.mastodon.charactersPerUrl;
+      if (newCfg.mastodon.accessToken === previous.accessToken) delete newCfg.mastodon.accessToken;
+    }
+    // A hand-pasted token replaces the signed-in one and its expiry
+    if (newCfg[providerId].accessToken !== previous.accessToken && !OAUTH_PROVIDERS[providerId]?.tokenKey) {
+      delete newCfg[providerId].expiresAt;
+      delete newCfg[providerId].refreshToken;
+    }
     saveConfig(newCfg);
     overlay.remove();
     renderProviders();
     setStatus(`${providerId} configured`);
+    if (providerId === "mastodon" && mastodonInstance(newCfg.mastodon)) loadMastodonLimits();
   });
 }
 
+// Keeps counters and thread splitting in line with the instance's own limits
+async function loadMastodonLimits() {
+  try {
+    const limits = await MastodonClient.instanceLimits();
+    const cfg = config();
+    saveConfig({ ...cfg, mastodon: { ...cfg.mastodon, ...limits } });
+    renderThreadPreview();
+    renderCandidates();
+  } catch (err) {
+    console.warn("Mastodon instance limits unavailable:", err.message);
+  }
+}
+
 async function runSearch(query = el("searchInput").value.trim()) {
   const active = providers.filter((p) => state.selectedProviders.has(p.id));
+  // A new search invalidates any "load more" still in flight
+  const generation = state.paging.generation + 1;
+  state.paging = { generation, query, cursors: {}, loading: false };
+  state.incoming = [];
+  renderNewPostsBanner();
   if (!active.length) {
+    state.feed = [];
     feedEl.innerHTML = `<div class="empty">Choose at least one provider</div>`;
+    renderFeedMore();
+    renderFeedCacheNote(null);
     setStatus("Idle");
     return;
   }
@@ -940,32 +3009,203 @@ async function runSearch(query = el("searchInput").value.trim()) {
   const configured = active.filter((p) => p.isConfigured());
   const unconfigured = active.filter((p) => !p.isConfigured());
 
+  const inbox = state.feedMode === "inbox";
   if (configured.length) {
-    setStatus(`Searching ${configured.map((p) => p.name).join(", ")}…`);
+    setStatus(`${inbox ? "Checking notifications on" : "Searching"} ${configured.map((p) => p.name).join(", ")}…`);
   } else {
     setStatus("Using demo data (configure providers for live feeds)");
   }
 
-  const results = await Promise.all(
-    active.map(async (p) => {
-      try {
-        const posts = await p.search(query);
-        // Tag posts from unconfigured providers
-        if (!p.isConfigured()) {
-          posts.forEach((post) => post.isDemo = true);
-        }
-        return posts;
-      } catch (err) {
-        console.error(`Search failed for ${p.id}`, err);
-        return [];
-      }
-    })
-  );
+  const pages = await Promise.all(active.map((p) => fetchFeedPage(p, { query, inbox })));
+  if (generation !== state.paging.generation) return;
+  const cachedAt = await applyFeedCache(active, pages, { query, inbox });
+  if (generation !== state.paging.generation) return;
 
-  state.feed = results.flat();
-  // Sort: real posts first, then demo
-  state.feed.sort((a, b) => (a.isDemo === b.isDemo ? 0 : a.isDemo ? 1 : -1));
+  active.forEach((p, i) => { state.paging.cursors[p.id] = pages[i].cursor; });
+  state.feed = mergePosts([], pages.flatMap((page) => page.posts));
+  sortFeed();
   renderFeed();
+  renderFeedCacheNote(cachedAt);
+  reportFeedStatus();
+}
+
+// One page from one provider; a failing provider just stops paginating
+async function fetchFeedPage(p, { query, inbox, cursor, since }) {
+  try {
+    const page = inbox ? await p.notifications({ cursor }) : await p.search(query, { cursor, since });
+    // Tag posts from unconfigured providers
+    if (!p.isConfigured()) {
+      page.posts.forEach((post) => post.isDemo = true);
+    }
+    return page;
+  } catch (err) {
+    console.error(`Search failed for ${p.id}`, err);
+    return { posts: [], cursor: null, failed: true };
+  }
+}
+
+// Appends posts not already in the list (same provider + id)
+function mergePosts(existing, incoming) {
+  const seen = new Set(existing.map(postKey));
+  const fresh = incoming.filter((post) => {
+    if (seen.has(postKey(post))) return false;
+    seen.add(postKey(post));
+    return true;
+  });
+  return [...existing, ...fresh];
+}
+
+const RELATIVE_TIME_REFRESH_MS = 60_000;
+
+const FEED_SORTS = {
+  newest: (a, b) => postTime(b) - postTime(a),
+  engaged: (a, b) => engagementScore(b) - engagementScore(a) || postTime(b) - postTime(a),
+  provider: (a, b) => a.provider.localeCompare(b.provider) || postTime(b) - postTime(a),
+};
+
+const postTime = (post) => (post.createdAt ? Date.parse(post.createdAt) : 0);
+
+// Reposts and quotes spread a post further than a like, so they count double
+function engagementScore(post) {
+  const m = post.metrics || {};
+  return (m.likes || 0) + (m.replies || 0) + 2 * ((m.reposts || 0) + (m.quotes || 0));
+}
+
+function formatMetrics(metrics) {
+  if (!metrics) return "";
+  const parts = [
+    ["likes", "fa-regular fa-heart"],
+    ["reposts", "fa-solid fa-retweet"],
+    ["replies", "fa-regular fa-comment"],
+  ].filter(([key]) => metrics[key] != null)
+    .map(([key, icon]) => `<span title="${key}"><i class="${icon}"></i> ${metrics[key]}</span>`);
+  return parts.join("");
+}
+
+function sortFeed() {
+  const compare = FEED_SORTS[state.feedSort] || FEED_SORTS.newest;
+  const inbox = state.feedMode === "inbox";
+  state.feed.sort((a, b) =>
+    // Real posts before demo; in the inbox, handled items sink to the bottom
+    (a.isDemo === b.isDemo ? 0 : a.isDemo ? 1 : -1)
+    || (inbox ? inboxEntry(a).handled - inboxEntry(b).handled : 0)
+    || compare(a, b)
+  );
+}
+
+// Relative labels ("3m", "2h") are refreshed in place so they don't go stale
+function refreshRelativeTimes() {
+  document.querySelectorAll("time[data-relative]").forEach((node) => {
+    node.textContent = relativeLabel(node.getAttribute("datetime"), node.dataset.relative === "ago");
+  });
+}
+
+function relativeLabel(iso, ago = false) {
+  const label = relativeTime(iso);
+  return ago && label !== "just now" ? `${label} ago` : label;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Offline Cache
+// Last results per mode/query/provider and the in-progress draft, in IndexedDB
+// ═══════════════════════════════════════════════════════════════════════════
+const FEED_CACHE_LIMIT = 60;
+const DRAFT_AUTOSAVE_ID = "current";
+
+const feedCacheKey = (providerId, query, inbox) => `${inbox ? "inbox" : "search"}|${query}|${providerId}`;
+
+// Caches live pages; a configured provider whose fetch failed (e.g. offline)
+// is swapped for its cached page. Returns the oldest cache time used, if any.
+async function applyFeedCache(active, pages, { query, inbox }) {
+  let cachedAt = null;
+  try {
+    await Promise.all(active.map(async (p, i) => {
+      if (!p.isConfigured()) return;
+      const key = feedCacheKey(p.id, query, inbox);
+      if (!pages[i].failed) {
+        await idbPut("feedCache", { key, posts: pages[i].posts, savedAt: Date.now() });
+        return;
+      }
+      const entry = await idbGet("feedCache", key);
+      if (!entry) return;
+      pages[i] = { posts: entry.posts, cursor: null };
+      cachedAt = Math.min(cachedAt ?? Infinity, entry.savedAt);
+    }));
+    await pruneFeedCache();
+  } catch (err) {
+    console.warn("Feed cache unavailable:", err.message);
+  }
+  return cachedAt;
+}
+
+async function pruneFeedCache() {
+  const entries = await idbGetAll("feedCache");
+  if (entries.length <= FEED_CACHE_LIMIT) return;
+  const stale = entries.sort((a, b) => b.savedAt - a.savedAt).slice(FEED_CACHE_LIMIT);
+  await Promise.all(stale.map((e) => idbDelete("feedCache", e.key)));
+}
+
+// Paints the cached results for the current query before the network answers
+async function showCachedFeed() {
+  const query = el("searchInput").value.trim();
+  const inbox = state.feedMode === "inbox";
+  const active = providers.filter((p) => state.selectedProviders.has(p.id) && p.isConfigured());
+  try {
+    const entries = (await Promise.all(active.map((p) => idbGet("feedCache", feedCacheKey(p.id, query, inbox))))).filter(Boolean);
+    if (!entries.length || state.feed.length) return;
+    state.feed = mergePosts([], entries.flatMap((e) => e.posts));
+    sortFeed();
+    renderFeed();
+    renderFeedCacheNote(Math.min(...entries.map((e) => e.savedAt)));
+  } catch (err) {
+    console.warn("Feed cache unavailable:", err.message);
+  }
+}
+
+function renderFeedCacheNote(savedAt) {
+  const note = el("feedCacheNote");
+  note.classList.toggle("hidden", !savedAt);
+  if (!savedAt) return;
+  const iso = new Date(savedAt).toISOString();
+  note.innerHTML = `Showing cached results · <time datetime="${iso}" data-relative="ago">${relativeLabel(iso, true)}</time>`;
+}
+
+const autosaveDraft = debounce(() => {
+  idbPut("drafts", {
+    id: DRAFT_AUTOSAVE_ID,
+    original: originalText.value,
+    reply: replyText.value,
+    selectedMessage: state.selectedMessage,
+    savedAt: Date.now(),
+  }).catch((err) => console.warn("Draft autosave failed:", err.message));
+}, 500);
+
+async function restoreDraft() {
+  try {
+    const draft = await idbGet("drafts", DRAFT_AUTOSAVE_ID);
+    if (!draft || (!draft.original && !draft.reply)) return;
+    originalText.value = draft.original;
+    replyText.value = draft.reply;
+    if (draft.selectedMessage) {
+      const post = draft.selectedMessage;
+      state.selectedMessage = post;
+      selectedProviderChip.textContent = `${post.provider.toUpperCase()} · @${post.handle}`;
+      applyVoiceFor(post.provider);
+      renderReplyContext(post);
+    }
+    replyText.dispatchEvent(new Event("input"));
+    setStatus(`Restored draft from ${relativeLabel(new Date(draft.savedAt).toISOString(), true)}`);
+  } catch (err) {
+    console.warn("Draft restore failed:", err.message);
+  }
+}
+
+function reportFeedStatus() {
+  if (state.feedMode === "inbox") {
+    const unread = state.feed.filter((p) => !inboxEntry(p).read).length;
+    setStatus(`${state.feed.length} notifications · ${unread} unread`);
+    return;
+  }
 
   const realCount = state.feed.filter((p) => !p.isDemo).length;
   const demoCount = state.feed.filter((p) => p.isDemo).length;
@@ -978,96 +3218,659 @@ async function runSearch(query = el("searchInput").value.trim()) {
   }
 }
 
+// Next page from every provider that still has a cursor
+async function loadMoreFeed() {
+  const { generation, query, cursors } = state.paging;
+  const pending = providers.filter((p) => cursors[p.id]);
+  if (state.paging.loading || !pending.length) return;
+  state.paging.loading = true;
+  renderFeedMore();
+  const inbox = state.feedMode === "inbox";
+  const pages = await Promise.all(pending.map((p) => fetchFeedPage(p, { query, inbox, cursor: cursors[p.id] })));
+  if (generation !== state.paging.generation) return;
+
+  state.paging.loading = false;
+  pending.forEach((p, i) => { cursors[p.id] = pages[i].cursor; });
+  state.feed = mergePosts(state.feed, pages.flatMap((page) => page.posts));
+  sortFeed();
+  renderFeed();
+  reportFeedStatus();
+}
+
+const hasMoreFeed = () => Object.values(state.paging.cursors).some(Boolean);
+
+function renderFeedMore() {
+  const more = el("feedMore");
+  const button = el("loadMoreButton");
+  more.classList.toggle("hidden", !hasMoreFeed());
+  button.disabled = state.paging.loading;
+  button.textContent = state.paging.loading ? "Loading…" : "Load more";
+  // Re-observe so a sentinel that is still on screen after a short page fires again
+  if (feedEndObserver && hasMoreFeed() && !state.paging.loading) {
+    feedEndObserver.unobserve(more);
+    feedEndObserver.observe(more);
+  }
+}
+
+const feedEndObserver = typeof IntersectionObserver !== "undefined"
+  ? new IntersectionObserver((entries) => {
+    if (entries.some((e) => e.isIntersecting)) loadMoreFeed();
+  }, { rootMargin: "200px" })
+  : null;
+
 function renderFeed() {
+  renderFeedMore();
   if (!state.feed.length) {
     feedEl.innerHTML = `<div class="empty">No results yet. Try a broader query or refresh.</div>`;
     return;
   }
   feedEl.innerHTML = "";
+  const inbox = state.feedMode === "inbox";
   state.feed.forEach((post) => {
+    const triage = inboxEntry(post);
     const card = document.createElement("article");
     card.className = `card ${post.isDemo ? 'card--demo' : ''}`;
+    if (inbox) {
+      card.classList.toggle("card--unread", !triage.read);
+      card.classList.toggle("card--handled", !!triage.handled);
+    }
     card.innerHTML = `
       <div class="card__meta">
         <div><strong>${escapeHtml(post.author)}</strong> · @${escapeHtml(post.handle)}</div>
         <div class="card__badges">
           ${post.isDemo ? '<span class="badge badge--demo">Demo</span>' : ''}
+          ${inbox && post.kind ? `<span class="badge">${post.kind}</span>` : ""}
+          ${inbox && triage.handled ? '<span class="badge badge--handled">Handled</span>' : ""}
           <span class="chip">${post.provider}</span>
         </div>
       </div>
       <p>${escapeHtml(post.text)}</p>
       <div class="card__meta">
-        <span>${post.time}</span>
+        <span class="card__stats">
+          <time datetime="${post.createdAt || ""}" data-relative>${relativeTime(post.createdAt)}</time>
+          ${formatMetrics(post.metrics)}
+        </span>
         <div class="card__actions">
           <button class="btn secondary" data-action="reply">Reply</button>
           <button class="btn ghost" data-action="copy">Copy text</button>
+          ${inbox && !post.isDemo ? `<button class="btn ghost" data-action="handled">${triage.handled ? "Reopen" : "Mark handled"}</button>` : ""}
           <a class="btn ghost" href="${post.url}" target="_blank" rel="noreferrer">Open</a>
         </div>
       </div>
     `;
     card.querySelector("[data-action='reply']").addEventListener("click", () => selectPost(post));
     card.querySelector("[data-action='copy']").addEventListener("click", () => copyText(post.text));
+    card.querySelector("[data-action='handled']")?.addEventListener("click", () => {
+      updateInboxEntry(post, { read: true, handled: !triage.handled });
+      renderFeed();
+    });
     feedEl.appendChild(card);
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Inbox Triage
+// Read/handled flags for notification items, persisted across sessions
+// ═══════════════════════════════════════════════════════════════════════════
+const INBOX_STATE_LIMIT = 2000;
+
+const inboxEntry = (post) => state.inboxState[postKey(post)] || { read: false, handled: false };
+
+function updateInboxEntry(post, changes) {
+  if (!post || post.isDemo) return;
+  state.inboxState[postKey(post)] = { ...inboxEntry(post), ...changes, at: Date.now() };
+  // Keep only the most recently touched entries so storage doesn't grow forever
+  const keys = Object.keys(state.inboxState);
+  if (keys.length > INBOX_STATE_LIMIT) {
+    keys
+      .sort((a, b) => state.inboxState[a].at - state.inboxState[b].at)
+      .slice(0, keys.length - INBOX_STATE_LIMIT)
+      .forEach((key) => delete state.inboxState[key]);
+  }
+  saveInboxState(state.inboxState);
+}
+
+function markInboxHandled(post) {
+  updateInboxEntry(post, { read: true, handled: true });
+  if (state.feedMode === "inbox") renderFeed();
+}
+
+function renderFeedMode() {
+  document.querySelectorAll("[data-feed-mode]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.feedMode === state.feedMode);
+  });
+  el("feedTitle").textContent = state.feedMode === "inbox" ? "Mentions & replies" : "Latest posts";
+}
+
+function setFeedMode(mode) {
+  state.feedMode = mode;
+  safeSetItem("sm_feed_mode", mode);
+  renderFeedMode();
+  runSearch();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Auto-refresh
+// Polls the active query for newer items and holds them behind a "N new posts"
+// banner. While the app is in the background, pinned presets raise alerts.
+// ═══════════════════════════════════════════════════════════════════════════
+const AUTO_REFRESH_MINUTES = [0, 1, 2, 5, 15];
+let autoRefreshTimer = null;
+
+function scheduleAutoRefresh() {
+  clearInterval(autoRefreshTimer);
+  autoRefreshTimer = null;
+  const minutes = Number(config().autoRefreshMinutes) || 0;
+  if (minutes > 0) autoRefreshTimer = setInterval(pollTick, minutes * 60_000);
+}
+
+async function pollTick() {
+  if (isVaultLocked()) return;
+  await pollFeed();
+  await pollPinnedPresets();
+}
+
+// Newest live post from one provider, as the `since` hint for its next poll
+function newestSeen(posts, providerId) {
+  const newest = posts
+    .filter((p) => p.provider === providerId && !p.isDemo && p.createdAt)
+    .reduce((best, p) => (!best || postTime(p) > postTime(best) ? p : best), null);
+  return newest ? { id: newest.id, createdAt: newest.createdAt } : null;
+}
+
+const newerThan = (posts, since) => (since ? posts.filter((p) => postTime(p) > Date.parse(since.createdAt)) : posts);
+
+async function pollFeed() {
+  if (state.paging.loading) return;
+  const { generation, query } = state.paging;
+  const inbox = state.feedMode === "inbox";
+  const known = [...state.feed, ...state.incoming];
+  const live = providers.filter((p) => state.selectedProviders.has(p.id) && p.isConfigured());
+  const pages = await Promise.all(live.map((p) =>
+    fetchFeedPage(p, { query, inbox, since: inbox ? null : newestSeen(known, p.id) })
+  ));
+  if (generation !== state.paging.generation) return;
+  const fresh = mergePosts(known, pages.flatMap((page) => page.posts)).slice(known.length);
+  if (!fresh.length) return;
+  state.incoming.push(...fresh);
+  renderNewPostsBanner();
+  const preset = state.searchPresets.find((p) => p.pinned && p.query === query);
+  if (preset && !inbox && document.hidden) notifyPresetMatches(preset, fresh);
+}
+
+// Pinned presets other than the visible query are only polled in the background.
+// The first poll of each preset just records a baseline.
+async function pollPinnedPresets() {
+  if (!document.hidden || !("Notification" in window) || Notification.permission !== "granted") return;
+  const visibleQuery = state.feedMode === "search" ? state.paging.query : null;
+  const live = providers.filter((p) => p.isConfigured());
+  for (const preset of state.searchPresets.filter((p) => p.pinned && p.query !== visibleQuery)) {
+    const seen = state.pinnedSeen[preset.query];
+    const pages = await Promise.all(live.map((p) =>
+      fetchFeedPage(p, { query: preset.query, since: seen?.[p.id] })
+    ));
+    const fresh = pages.flatMap((page, i) => newerThan(page.posts, seen?.[live[i].id]));
+    const baseline = { ...seen };
+    live.forEach((p, i) => {
+      const newest = newestSeen(pages[i].posts, p.id);
+      if (newest && (!baseline[p.id] || postTime(newest) > postTime(baseline[p.id]))) baseline[p.id] = newest;
+    });
+    state.pinnedSeen[preset.query] = baseline;
+    if (seen && fresh.length) notifyPresetMatches(preset, fresh);
+  }
+}
+
+async function notifyPresetMatches(preset, posts) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  const title = `${posts.length} new ${posts.length === 1 ? "match" : "matches"} for ${preset.label}`;
+  const options = {
+    body: `@${posts[0].handle}: ${posts[0].text.slice(0, 120)}`,
+    tag: `preset-${preset.query}`,
+    icon: "./icon.svg",
+  };
+  // Through the service worker so alerts also work for an installed PWA in the background;
+  // the Notification constructor throws on Android Chrome
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) await reg.showNotification(title, options);
+    else new Notification(title, options);
+  } catch (err) {
+    console.warn("Unable to show preset notification:", err);
+  }
+}
+
+function renderNewPostsBanner() {
+  const banner = el("newPostsBanner");
+  const count = state.incoming.length;
+  banner.classList.toggle("hidden", !count);
+  banner.textContent = `${count} new ${count === 1 ? "post" : "posts"} · show`;
+}
+
+function showIncoming() {
+  state.feed = mergePosts(state.feed, state.incoming);
+  state.incoming = [];
+  sortFeed();
+  renderFeed();
+  renderNewPostsBanner();
+  reportFeedStatus();
+  feedEl.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
 function selectPost(post) {
   state.selectedMessage = post;
+  if (state.feedMode === "inbox" && !inboxEntry(post).read) {
+    updateInboxEntry(post, { read: true });
+    renderFeed();
+  }
   originalText.value = post.text;
+  state.chosenDraftId = null;
   selectedProviderChip.textContent = `${post.provider.toUpperCase()} · @${post.handle}`;
+  applyVoiceFor(post.provider);
+  renderReplyContext(post);
+  renderThreadPreview();
+  autosaveDraft();
   if (el("autoDraftToggle").checked) draftReply();
 }
 
+// Shows whether the selected post sits inside a larger conversation
+function renderReplyContext(post) {
+  const context = el("replyContext");
+  let link = null;
+  if (post?.root?.uri && post.root.uri !== post.uri) {
+    // at://did/app.bsky.feed.post/rkey → bsky.app accepts DIDs in profile URLs
+    const [, , did, , rkey] = post.root.uri.split("/");
+    link = `https://bsky.app/profile/${did}/post/${rkey}`;
+  } else if (post?.conversationId && post.conversationId !== post.id) {
+    link = `https://twitter.com/i/status/${post.conversationId}`;
+  }
+  context.classList.toggle("hidden", !link);
+  context.innerHTML = link
+    ? `↳ Replying inside a thread · <a href="${link}" target="_blank" rel="noreferrer">view thread start ↗</a>`
+    : "";
+}
+
+let draftController = null;
+
 async function draftReply() {
-  const prompt = buildPrompt();
-  setStatus("Drafting with GitHub models…");
+  if (parseInt(el("candidateCount").value, 10) > 1) {
+    await draftCandidates();
+    return;
+  }
+  // One draft at a time: a new request replaces one still streaming
+  draftController?.abort();
+  const controller = new AbortController();
+  draftController = controller;
+  const previous = replyText.value;
+  setDrafting(true);
   const contentType = contentSelect.value;
+  let prompt = "";
   try {
-    const result = await callGitHubModel(prompt, contentType === "gif");
+    setStatus("Reading thread…");
+    await ensureThreadContext({ signal: controller.signal });
+    // Superseded or stopped while the thread loaded
+    if (draftController !== controller) return;
+    if (controller.signal.aborted) throw new DOMException("Draft stopped", "AbortError");
+    prompt = buildPrompt();
+    setStatus(`Drafting with ${llmBackends[llmSettings().backend].label}…`);
+    const result = await callModel(prompt, contentType === "gif", {
+      signal: controller.signal,
+      onToken: (_, text) => { replyText.value = text; },
+    });
     replyText.value = result.text;
     if (result.gifUrl) replyText.value += `\n\nGIF: ${result.gifUrl}`;
+    state.chosenDraftId = recordDraft({ text: replyText.value, tone: toneSelect.value, model: llmReady() ? draftSettings().model : "offline fallback" }).id;
+    autosaveDraft();
+    const banned = bannedWordsIn(result.text, activeVoice());
+    setStatus(banned.length ? `Heads up: draft uses banned words (${banned.join(", ")})` : "Ready");
   } catch (err) {
-    console.error(err);
-    replyText.value = playfulFallback(prompt, contentType === "gif");
+    if (err.name === "AbortError") {
+      // Replaced by a newer draft: leave its text and status alone
+      if (draftController !== controller) return;
+      const keep = el("keepPartialToggle").checked;
+      if (!keep) replyText.value = previous;
+      setStatus(keep ? "Draft stopped · partial text kept" : "Draft stopped");
+    } else {
+      console.error(err);
+      replyText.value = playfulFallback(prompt, contentType === "gif");
+      setStatus("Ready");
+    }
   } finally {
-    setStatus("Ready");
+    if (draftController === controller) {
+      draftController = null;
+      setDrafting(false);
+      replyText.dispatchEvent(new Event("input"));
+    }
   }
 }
 
-function buildPrompt() {
-  const original = originalText.value.trim();
-  const tone = toneSelect.value;
-  const contentType = contentSelect.value;
-  const provider = state.selectedMessage?.provider || "unknown";
-  return `You are a witty social media ghostwriter. Provider: ${provider}. Tone: ${tone}. Format: ${contentType === "gif" ? "suggest a GIF and a caption" : "text with tasteful emoji"}. Original post: "${original}".`;
+function stopDraft() {
+  draftController?.abort();
 }
 
-async function callGitHubModel(prompt, wantGif) {
-  const token = window.githubModelsToken || config().llmToken;
-  const model = window.githubModelsModel || config().llmModel || "gpt-4o-mini";
-  // Default to GitHub Models inference endpoint, allow override
-  const endpoint = window.githubModelsEndpoint || config().llmEndpoint || "https://models.inference.ai.azure.com/chat/completions";
-  
-  if (!token) return { text: playfulFallback(prompt, wantGif) };
-  
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${token}`,
+function setDrafting(active) {
+  el("draftButton").disabled = active;
+  el("stopDraftButton").classList.toggle("hidden", !active);
+}
+
+function buildPrompt({ tone = toneSelect.value } = {}) {
+  return renderTemplate(activeTemplate().body, promptVariables({ tone }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Prompt Templates
+// User-editable prompt bodies with {{variables}}. Every save appends a version
+// so a template can be rolled back; drafts record the template id + version.
+// ═══════════════════════════════════════════════════════════════════════════
+const PROMPT_VARIABLES = ["provider", "tone", "format", "original", "author", "handle", "thread"];
+const DRAFT_LOG_LIMIT = 500;
+
+const DEFAULT_TEMPLATE = {
+  id: "default",
+  name: "Default",
+  versions: [{
+    body: "You are a witty social media ghostwriter. Provider: {{provider}}. Tone: {{tone}}. Format: {{format}}. Original post: \"{{original}}\".\n\n{{thread}}",
+    savedAt: 0,
+  }],
+};
+
+function promptStore() {
+  const stored = loadPromptTemplates();
+  if (stored?.templates?.length) return stored;
+  return { activeId: DEFAULT_TEMPLATE.id, templates: [structuredClone(DEFAULT_TEMPLATE)] };
+}
+
+const templateBody = (template) => template.versions[template.versions.length - 1].body;
+
+function activeTemplate() {
+  const store = promptStore();
+  const template = store.templates.find((t) => t.id === store.activeId) || store.templates[0];
+  return { id: template.id, name: template.name, version: template.versions.length, body: templateBody(template) };
+}
+
+function promptVariables({ tone = toneSelect.value } = {}) {
+  const post = state.selectedMessage;
+  return {
+    provider: post?.provider || "unknown",
+    tone,
+    format: contentSelect.value === "gif" ? "suggest a GIF and a caption" : "text with tasteful emoji",
+    original: originalText.value.trim(),
+    author: post?.author || "",
+    handle: post?.handle || "",
+    thread: formatThreadContext(),
   };
-  const body = {
+}
+
+// Unknown variables are left as-is so typos show up in the preview
+function renderTemplate(body, vars) {
+  return body
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in vars ? vars[name] : match))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Appends a version when the body changed; returns the template id
+function saveTemplateVersion(store, { id, name, body }) {
+  const existing = store.templates.find((t) => t.id === id);
+  if (!existing) {
+    const template = { id: `tpl-${Date.now()}`, name: name || "Untitled", versions: [{ body, savedAt: Date.now() }] };
+    store.templates.push(template);
+    savePromptTemplates(store);
+    return template.id;
+  }
+  existing.name = name || existing.name;
+  if (templateBody(existing) !== body) existing.versions.push({ body, savedAt: Date.now() });
+  savePromptTemplates(store);
+  return existing.id;
+}
+
+// Rolling back re-saves the old body as the newest version, so history is never lost
+function rollbackTemplate(store, id, versionIndex) {
+  const template = store.templates.find((t) => t.id === id);
+  if (!template?.versions[versionIndex]) return;
+  template.versions.push({ body: template.versions[versionIndex].body, savedAt: Date.now(), restoredFrom: versionIndex + 1 });
+  savePromptTemplates(store);
+}
+
+function recordDraft({ text, tone, model }) {
+  const template = activeTemplate();
+  const entry = {
+    id: `draft-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    at: Date.now(),
+    templateId: template.id,
+    templateVersion: template.version,
+    provider: state.selectedMessage?.provider || null,
+    postId: state.selectedMessage?.id || null,
+    tone,
     model,
-    messages: [
-      { role: "system", content: "You craft brief, warm social replies. Keep it under 280 chars." },
-      { role: "user", content: prompt },
-    ],
-    max_tokens: 180,
+    text,
+    posted: false,
+  };
+  saveDraftLog([...loadDraftLog(), entry].slice(-DRAFT_LOG_LIMIT));
+  return entry;
+}
+
+// Marks the chosen draft as posted; "edited" if the text changed
+function markDraftPosted(draftId, text) {
+  if (!draftId) return;
+  const log = loadDraftLog();
+  const entry = log.find((d) => d.id === draftId);
+  if (!entry || entry.posted) return;
+  entry.posted = true;
+  entry.edited = stripGif(entry.text) !== stripGif(text);
+  saveDraftLog(log);
+}
+
+function templateStats(templateId) {
+  const drafts = loadDraftLog().filter((d) => d.templateId === templateId);
+  const byVersion = {};
+  drafts.forEach((d) => {
+    const v = (byVersion[d.templateVersion] ||= { drafts: 0, posted: 0, unedited: 0 });
+    v.drafts++;
+    if (d.posted) v.posted++;
+    if (d.posted && !d.edited) v.unedited++;
+  });
+  return byVersion;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Brand Voice Profiles
+// Named voices (system prompt, banned words, emoji policy, sample replies,
+// default tone/model) tied to a provider account and picked on selection
+// ═══════════════════════════════════════════════════════════════════════════
+const EMOJI_POLICIES = {
+  free: "Use emoji where they add warmth.",
+  sparing: "Use at most one emoji.",
+  none: "Do not use emoji.",
+};
+
+const activeVoice = () => state.voices.find((v) => v.id === state.activeVoiceId) || null;
+
+// Prefers a profile whose account matches the signed-in handle for that provider
+function voiceForProvider(providerId) {
+  const matches = state.voices.filter((v) => v.provider === providerId);
+  const account = (accountHandles[providerId] || "").replace(/^@/, "").toLowerCase();
+  return matches.find((v) => account && v.account.replace(/^@/, "").toLowerCase() === account) || matches[0] || null;
+}
+
+function setActiveVoice(voice) {
+  state.activeVoiceId = voice?.id || null;
+  if (voice?.tone) toneSelect.value = voice.tone;
+  renderVoiceSelect();
+}
+
+// Applies the best voice now, then again once the account handle is known
+function applyVoiceFor(providerId) {
+  const guess = voiceForProvider(providerId);
+  setActiveVoice(guess);
+  if (providerId in accountHandles) return;
+  providers.find((p) => p.id === providerId)?.account().then((handle) => {
+    accountHandles[providerId] = handle;
+    // Unless the user moved on or picked a voice by hand meanwhile
+    const untouched = state.selectedMessage?.provider === providerId && state.activeVoiceId === (guess?.id || null);
+    if (handle && untouched) setActiveVoice(voiceForProvider(providerId));
+  });
+}
+
+function voiceSystemPrompt(voice) {
+  if (!voice) return DEFAULT_SYSTEM_PROMPT;
+  const rules = [voice.systemPrompt || DEFAULT_SYSTEM_PROMPT, EMOJI_POLICIES[voice.emojiPolicy]];
+  if (voice.bannedWords.length) rules.push(`Never use these words: ${voice.bannedWords.join(", ")}.`);
+  return rules.filter(Boolean).join(" ");
+}
+
+function voiceExamples(voice) {
+  return (voice?.examples || []).flatMap((example) => [
+    { role: "user", content: "Write a reply to a post in our voice." },
+    { role: "assistant", content: example },
+  ]);
+}
+
+function bannedWordsIn(text, voice) {
+  const lower = text.toLowerCase();
+  return (voice?.bannedWords || []).filter((word) => lower.includes(word.toLowerCase()));
+}
+
+// Models don't always follow the emoji policy, so "none" is enforced afterwards.
+// Only emoji-style characters go; text symbols like ©, ® and ™ stay.
+function applyVoiceRules(text) {
+  if (activeVoice()?.emojiPolicy !== "none") return text;
+  return text
+    .replace(/(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)[\uFE0F\u200D]*/gu, "")
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+function renderVoiceSelect() {
+  const select = el("voiceSelect");
+  select.innerHTML = `<option value="">Default voice</option>${state.voices.map((v) =>
+    `<option value="${escapeAttr(v.id)}">${escapeHtml(v.name)} (${v.provider}${v.account ? ` · ${escapeHtml(v.account)}` : ""})</option>`
+  ).join("")}`;
+  select.value = state.activeVoiceId || "";
+}
+
+function voiceEditorItem(voice = {}) {
+  const tones = [...toneSelect.options];
+  return `
+    <div class="voice-item" data-id="${escapeAttr(voice.id || "")}">
+      <div class="voice-item__row">
+        <input type="text" class="voice-name" value="${escapeAttr(voice.name || "")}" placeholder="Profile name">
+        <select class="voice-provider">
+          ${providers.map((p) => `<option value="${p.id}" ${voice.provider === p.id ? "selected" : ""}>${p.name}</option>`).join("")}
+        </select>
+        <input type="text" class="voice-account" value="${escapeAttr(voice.account || "")}" placeholder="Account (e.g. @acme)">
+        <button type="button" class="btn ghost btn--small" data-remove-voice>✕</button>
+      </div>
+      <div class="voice-item__row">
+        <select class="voice-tone">
+          ${tones.map((o) => `<option value="${o.value}" ${voice.tone === o.value ? "selected" : ""}>${o.textContent}</option>`).join("")}
+        </select>
+        <select class="voice-emoji">
+          ${Object.keys(EMOJI_POLICIES).map((k) => `<option value="${k}" ${(voice.emojiPolicy || "free") === k ? "selected" : ""}>Emoji: ${k}</option>`).join("")}
+        </select>
+        <input type="text" class="voice-model" value="${escapeAttr(voice.model || "")}" placeholder="Model override (optional)">
+      </div>
+      <textarea class="voice-system" rows="2" placeholder="System prompt">${escapeHtml(voice.systemPrompt || "")}</textarea>
+      <input type="text" class="voice-banned" value="${escapeAttr((voice.bannedWords || []).join(", "))}" placeholder="Banned words, comma separated">
+      <textarea class="voice-examples" rows="3" placeholder="Sample replies, one per line">${escapeHtml((voice.examples || []).join("\n"))}</textarea>
+    </div>
+  `;
+}
+
+function readVoiceEditor(item) {
+  const value = (sel) => item.querySelector(sel).value.trim();
+  return {
+    id: item.dataset.id || `voice-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    name: value(".voice-name"),
+    provider: value(".voice-provider"),
+    account: value(".voice-account"),
+    tone: value(".voice-tone"),
+    emojiPolicy: value(".voice-emoji"),
+    model: value(".voice-model"),
+    systemPrompt: value(".voice-system"),
+    bannedWords: value(".voice-banned").split(",").map((w) => w.trim()).filter(Boolean),
+    examples: value(".voice-examples").split("\n").map((e) => e.trim()).filter(Boolean),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Thread Context
+// Fetches the conversation around the selected post and fits as much of it as
+// the model's context window allows into the prompt
+// ═══════════════════════════════════════════════════════════════════════════
+const DEFAULT_CONTEXT_WINDOW = 8000;
+const MAX_CONTEXT_TOKENS = 4000;
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+function contextTokenBudget() {
+  const contextWindow = config().llmContextWindow || DEFAULT_CONTEXT_WINDOW;
+  // Leave room for instructions and the reply; thread context is nice-to-have
+  return Math.min(MAX_CONTEXT_TOKENS, Math.floor((contextWindow - 1000) / 2));
+}
+
+async function ensureThreadContext({ signal } = {}) {
+  const post = state.selectedMessage;
+  if (!post) {
+    state.threadContext = null;
+    return;
+  }
+  if (state.threadContext?.postId === post.id) return;
+  const provider = providers.find((p) => p.id === post.provider);
+  const items = provider ? await provider.context(post, { signal }) : [];
+  // Ignore results for a post that was deselected while we were fetching
+  if (state.selectedMessage?.id === post.id) state.threadContext = { postId: post.id, items };
+}
+
+// Nearest ancestors win the budget first, then replies; output stays chronological
+function formatThreadContext() {
+  const ctx = state.threadContext;
+  if (!ctx?.items.length || ctx.postId !== state.selectedMessage?.id) return "";
+  const ancestors = ctx.items.filter((i) => i.relation === "ancestor");
+  const replies = ctx.items.filter((i) => i.relation === "reply");
+  const line = (item) => `@${item.handle}: ${item.text.replace(/\s+/g, " ").trim()}`;
+  let budget = contextTokenBudget();
+  const keep = new Set();
+  [...ancestors.slice().reverse(), ...replies].forEach((item) => {
+    const cost = estimateTokens(line(item)) + 1;
+    if (cost > budget) return;
+    budget -= cost;
+    keep.add(item);
+  });
+  const kept = (list) => list.filter((i) => keep.has(i)).map(line);
+  const sections = [];
+  if (kept(ancestors).length) sections.push(`Conversation leading up to the post:\n${kept(ancestors).join("\n")}`);
+  if (kept(replies).length) sections.push(`Other replies so far:\n${kept(replies).join("\n")}`);
+  if (!sections.length) return "";
+  return `${sections.join("\n\n")}\n\nWrite a reply that fits this conversation without repeating what others said.`;
+}
+
+const DEFAULT_SYSTEM_PROMPT = "You craft brief, warm social replies. Keep it under 280 chars.";
+
+function draftRequest(prompt) {
+  const voice = activeVoice();
+  return {
+    system: voiceSystemPrompt(voice),
+    // Sample replies go in as few-shot turns ahead of the real request
+    messages: [...voiceExamples(voice), { role: "user", content: prompt }],
+    maxTokens: 180,
     temperature: 0.7,
   };
-  const res = await fetch(endpoint, { method: "POST", headers, body: JSON.stringify(body) });
-  if (!res.ok) throw new Error(`GitHub model error: ${res.status}`);
-  const json = await res.json();
-  const text = json.choices?.[0]?.message?.content?.trim();
-  if (!text) throw new Error("No content from model");
+}
+
+// LLM settings for drafting, with the active voice's model override applied
+function draftSettings() {
+  const settings = llmSettings();
+  const voice = activeVoice();
+  return voice?.model ? { ...settings, model: voice.model } : settings;
+}
+
+// Streams when onToken is given, otherwise waits for the whole completion
+async function callModel(prompt, wantGif, { signal, onToken } = {}) {
+  if (!llmReady()) return { text: playfulFallback(prompt, wantGif) };
+  const req = draftRequest(prompt);
+  const raw = onToken
+    ? await streamWithLlm(req, draftSettings(), { signal, onToken })
+    : await completeWithLlm(req, draftSettings(), { signal });
+  const text = applyVoiceRules(raw);
   const gifUrl = wantGif ? pickGif()?.url : null;
   return { text, gifUrl };
 }
@@ -1083,6 +3886,153 @@ function pickGif() {
   return state.gifPref[Math.floor(Math.random() * state.gifPref.length)];
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// Draft Candidates
+// Several drafts side by side: same tone via `n`/parallel calls, or one per tone
+// ═══════════════════════════════════════════════════════════════════════════
+function candidateTones(count) {
+  const tones = [...toneSelect.options].map((o) => o.value);
+  if (!el("candidateVaryTone").checked) return Array(count).fill(toneSelect.value);
+  const start = tones.indexOf(toneSelect.value);
+  return Array.from({ length: count }, (_, i) => tones[(start + i) % tones.length]);
+}
+
+function makeCandidate(rawText, tone, wantGif) {
+  const text = applyVoiceRules(rawText);
+  const gifUrl = wantGif ? pickGif()?.url : null;
+  const model = llmReady() ? draftSettings().model : "offline fallback";
+  const draft = recordDraft({ text: gifUrl ? `${text}\n\nGIF: ${gifUrl}` : text, tone, model });
+  return { id: draft.id, text: draft.text, tone, model, template: `${draft.templateId}@v${draft.templateVersion}` };
+}
+
+async function draftCandidates() {
+  draftController?.abort();
+  const controller = new AbortController();
+  draftController = controller;
+  const count = parseInt(el("candidateCount").value, 10);
+  const tones = candidateTones(count);
+  const wantGif = contentSelect.value === "gif";
+  setDrafting(true);
+  try {
+    setStatus("Reading thread…");
+    await ensureThreadContext({ signal: controller.signal });
+    // Superseded or stopped while the thread loaded
+    if (draftController !== controller) return;
+    if (controller.signal.aborted) throw new DOMException("Draft stopped", "AbortError");
+    setStatus(`Drafting ${count} candidates…`);
+    if (!llmReady()) {
+      state.candidates = tones.map((tone) => makeCandidate(playfulFallback(buildPrompt({ tone }), false), tone, wantGif));
+    } else if (new Set(tones).size === 1) {
+      const texts = await completeManyWithLlm(draftRequest(buildPrompt({ tone: tones[0] })), count, draftSettings(), { signal: controller.signal });
+      state.candidates = texts.map((text) => makeCandidate(text, tones[0], wantGif));
+    } else {
+      // allSettled so one failing tone doesn't throw away the others
+      const results = await Promise.allSettled(tones.map((tone) =>
+        completeWithLlm(draftRequest(buildPrompt({ tone })), draftSettings(), { signal: controller.signal })
+      ));
+      state.candidates = results
+        .map((r, i) => (r.status === "fulfilled" ? makeCandidate(r.value, tones[i], wantGif) : null))
+        .filter(Boolean);
+      if (controller.signal.aborted) throw new DOMException("Draft stopped", "AbortError");
+      if (!state.candidates.length) throw results[0].reason;
+    }
+    renderCandidates();
+    setStatus(`${state.candidates.length} candidates ready`);
+  } catch (err) {
+    if (err.name === "AbortError") {
+      if (draftController === controller) setStatus("Draft stopped");
+    } else {
+      console.error(err);
+      setStatus(`Drafting failed: ${err.message}`);
+    }
+  } finally {
+    if (draftController === controller) {
+      draftController = null;
+      setDrafting(false);
+    }
+  }
+}
+
+async function regenerateCandidate(candidate) {
+  setStatus(`Regenerating ${candidate.tone} candidate…`);
+  try {
+    const wantGif = contentSelect.value === "gif";
+    const prompt = buildPrompt({ tone: candidate.tone });
+    const text = llmReady()
+      ? await completeWithLlm(draftRequest(prompt), draftSettings())
+      : playfulFallback(prompt, false);
+    const fresh = makeCandidate(text, candidate.tone, wantGif);
+    state.candidates = state.candidates.map((c) => (c.id === candidate.id ? fresh : c));
+    renderCandidates();
+    setStatus("Candidate regenerated");
+  } catch (err) {
+    console.error(err);
+    setStatus(`Regenerate failed: ${err.message}`);
+  }
+}
+
+// `draftId` credits the candidate the text came from when the reply is posted
+function insertIntoReply(text, draftId) {
+  if (draftId) state.chosenDraftId = draftId;
+  const start = replyText.selectionStart ?? replyText.value.length;
+  const end = replyText.selectionEnd ?? start;
+  const before = replyText.value.slice(0, start);
+  const spacer = before && !/\s$/.test(before) ? " " : "";
+  replyText.setRangeText(`${spacer}${text}`, start, end, "end");
+  replyText.dispatchEvent(new Event("input"));
+}
+
+function renderCandidates() {
+  const list = el("candidateList");
+  if (!state.candidates.length) {
+    list.innerHTML = "";
+    list.classList.add("hidden");
+    return;
+  }
+  list.classList.remove("hidden");
+  const providerId = state.selectedMessage?.provider;
+  list.innerHTML = "";
+  state.candidates.forEach((candidate) => {
+    const { length, max, ok } = checkLimit(candidate.text, providerId, state.selectedMessage);
+    const banned = bannedWordsIn(candidate.text, activeVoice());
+    const card = document.createElement("article");
+    card.className = "candidate";
+    card.innerHTML = `
+      <div class="card__meta">
+        <span class="chip">${escapeHtml(candidate.tone)}</span>
+        <span>${escapeHtml(candidate.model)}</span>
+        <span title="Prompt template">${escapeHtml(candidate.template)}</span>
+        <span class="${ok ? "" : "broadcast-count--over"}">${length}${Number.isFinite(max) ? `/${max} ${providerId}` : " chars"}</span>
+      </div>
+      <p class="candidate__text">${escapeHtml(candidate.text)}</p>
+      ${banned.length ? `<span class="hint candidate__banned">Uses banned words: ${escapeHtml(banned.join(", "))}</span>` : ""}
+      <div class="card__actions">
+        <button type="button" class="btn secondary btn--small" data-action="use">Use</button>
+        <button type="button" class="btn ghost btn--small" data-action="insert" title="Insert the text selected in this card at the reply cursor">Insert selection</button>
+        <button type="button" class="btn ghost btn--small" data-action="regenerate">Regenerate</button>
+      </div>
+    `;
+    card.querySelector("[data-action='use']").addEventListener("click", () => {
+      replyText.value = candidate.text;
+      state.chosenDraftId = candidate.id;
+      replyText.dispatchEvent(new Event("input"));
+      setStatus(`Using ${candidate.tone} candidate`);
+    });
+    card.querySelector("[data-action='insert']").addEventListener("click", () => {
+      const selection = window.getSelection();
+      const text = selection && card.contains(selection.anchorNode) ? selection.toString().trim() : "";
+      if (!text) {
+        setStatus("Select a phrase in the candidate first");
+        return;
+      }
+      insertIntoReply(text, candidate.id);
+      setStatus("Phrase merged into reply");
+    });
+    card.querySelector("[data-action='regenerate']").addEventListener("click", () => regenerateCandidate(candidate));
+    list.appendChild(card);
+  });
+}
+
 function renderGifs() {
   gifList.innerHTML = "";
   if (!state.gifPref.length) {
@@ -1134,16 +4084,668 @@ async function handlePost() {
   }
   const provider = providers.find((p) => p.id === state.selectedMessage.provider);
   if (!provider) return;
+  if (el("threadToggle").checked) {
+    await handleThreadPost(provider);
+    return;
+  }
   const gifUrl = extractGif(replyText.value);
+  const options = composeOptions();
+  const pending = { text: replyText.value, gifUrl, replyTo: state.selectedMessage, options, draftId: state.chosenDraftId };
+  if (!navigator.onLine) {
+    await queueOfflinePost(provider, pending);
+    return;
+  }
   setStatus(`Posting to ${provider.id}…`);
-  const res = await provider.post({ text: replyText.value, gifUrl });
-  if (res.ok) setStatus(`Posted to ${provider.id}`);
-  else setStatus(res.error || "Post failed");
+  const res = await provider.post({ text: replyText.value, gifUrl, options });
+  if (res.ok) {
+    markDraftPosted(state.chosenDraftId, replyText.value);
+    markInboxHandled(state.selectedMessage);
+    setStatus(`Posted to ${provider.id}`);
+  } else if (res.offline) {
+    await queueOfflinePost(provider, pending);
+  } else {
+    // Not queued for retry: an online failure may have reached the provider anyway
+    // (e.g. a response the browser blocked), and resending could post twice
+    setStatus(res.error ? `Post failed: ${res.error}` : "Post failed");
+  }
+}
+
+// Per-post extras from the composer; only Mastodon uses them so far
+function composeOptions() {
+  return {
+    spoilerText: el("spoilerText").value.trim() || undefined,
+    visibility: el("visibilitySelect").value || undefined,
+  };
+}
+
+// The content warning/visibility row only matters once Mastodon is set up
+function renderPostOptions() {
+  const mastodon = providers.find((p) => p.id === "mastodon");
+  el("postOptions").classList.toggle("hidden", !mastodon.isConfigured());
+  const select = el("visibilitySelect");
+  const current = select.value;
+  const fallback = config().mastodon?.visibility || "public";
+  select.innerHTML = `<option value="">Default (${fallback})</option>${MASTODON_VISIBILITIES.map((v) => `<option value="${v}">${v}</option>`).join("")}`;
+  select.value = current;
 }
 
+// Only a "GIF: <url>" line of its own counts, so prose like "reaction gif: lol" and
+// the "[add a GIF]" placeholder stay as text instead of being fetched as media
+const GIF_MARKER = /^GIF:\s*(https?:\/\/\S+)\s*$/m;
+
 function extractGif(text) {
-  const match = text.match(/GIF:\s*(\S+)/i);
-  return match?.[1];
+  return text.match(GIF_MARKER)?.[1];
+}
+
+function stripGif(text) {
+  return text.replace(GIF_MARKER, "").trim();
+}
+
+function gifAltText(url) {
+  return state.gifPref.find((g) => g.url === url)?.label || "GIF";
+}
+
+async function fetchMedia(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Media download ${res.status}`);
+  return res.blob();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Thread Composer
+// Splits a long draft on sentence boundaries into a numbered reply chain
+// ═══════════════════════════════════════════════════════════════════════════
+const THREADABLE_PROVIDERS = ["twitter", "bluesky", "threads", "mastodon"];
+
+const sentenceSegmenter = typeof Intl !== "undefined" && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: "sentence" })
+  : null;
+
+function sentenceChunks(text) {
+  const sentences = sentenceSegmenter
+    ? [...sentenceSegmenter.segment(text)].map((s) => s.segment)
+    : text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)/g) || [text];
+  return sentences.map((s) => s.trim()).filter(Boolean);
+}
+
+// Greedily packs chunks into posts of at most `budget`, breaking oversized
+// chunks on words and, as a last resort, on characters
+function packChunks(chunks, budget, providerId) {
+  const parts = [];
+  let current = "";
+  chunks.forEach((chunk) => {
+    const candidate = current ? `${current} ${chunk}` : chunk;
+    if (textLength(candidate, providerId) <= budget) {
+      current = candidate;
+      return;
+    }
+    if (current) parts.push(current);
+    current = "";
+    if (textLength(chunk, providerId) <= budget) {
+      current = chunk;
+      return;
+    }
+    const words = chunk.split(/\s+/);
+    const pieces = words.length > 1
+      ? packChunks(words, budget, providerId)
+      : hardSplit(chunk, budget, providerId);
+    current = pieces.pop() || "";
+    parts.push(...pieces);
+  });
+  if (current) parts.push(current);
+  return parts;
+}
+
+function hardSplit(word, budget, providerId) {
+  const pieces = [];
+  let current = "";
+  Array.from(word).forEach((ch) => {
+    if (textLength(current + ch, providerId) > budget) {
+      pieces.push(current);
+      current = "";
+    }
+    current += ch;
+  });
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+function splitThread(text, providerId, { numbered = true } = {}) {
+  const clean = text.trim();
+  if (!clean) return [];
+  const max = providerLimit(providerId)?.max ?? 500;
+  const chunks = sentenceChunks(clean);
+  let parts = packChunks(chunks, max, providerId);
+  if (!numbered || parts.length <= 1) return parts;
+  // Reserve room for the " 3/12" suffix; repeat if the post count gains a digit
+  let total = parts.length;
+  for (;;) {
+    parts = packChunks(chunks, max - ` ${total}/${total}`.length, providerId);
+    if (String(parts.length).length <= String(total).length) break;
+    total = parts.length;
+  }
+  return parts.map((part, idx) => `${part} ${idx + 1}/${parts.length}`);
+}
+
+// Posts each part as a reply to the previous one; stops at the first failure
+async function postThread(provider, parts, { replyTo, gifUrl, options } = {}) {
+  const posted = [];
+  let parent = replyTo;
+  for (let i = 0; i < parts.length; i++) {
+    const res = await provider.post({ text: parts[i], gifUrl: i === 0 ? gifUrl : null, replyTo: parent, options });
+    if (!res.ok) return { ok: false, posted, failedAt: i, error: res.error || "Post failed" };
+    posted.push(res);
+    parent = { provider: provider.id, id: res.id, url: res.url, uri: res.uri, cid: res.cid, root: res.root };
+  }
+  return { ok: true, posted };
+}
+
+function currentThreadParts(providerId) {
+  // The reply mention goes into part 1 so it is counted against that post's limit
+  const text = withReplyMention(stripGif(replyText.value).trim(), state.selectedMessage);
+  return splitThread(text, providerId, { numbered: el("threadNumberToggle").checked });
+}
+
+function renderThreadPreview(result) {
+  const preview = el("threadPreview");
+  if (!el("threadToggle").checked) {
+    preview.classList.add("hidden");
+    return;
+  }
+  preview.classList.remove("hidden");
+  const providerId = state.selectedMessage?.provider;
+  if (!providerId) {
+    preview.innerHTML = `<div class="empty">Select a post to thread a reply</div>`;
+    return;
+  }
+  if (!THREADABLE_PROVIDERS.includes(providerId)) {
+    preview.innerHTML = `<div class="empty">Reply chains aren't supported on ${providerId}</div>`;
+    return;
+  }
+  const parts = currentThreadParts(providerId);
+  preview.innerHTML = parts.map((part, idx) => {
+    let status = "";
+    if (result) {
+      if (idx < result.posted.length) status = `<a href="${result.posted[idx].url}" target="_blank" rel="noreferrer">Posted ↗</a>`;
+      else if (idx === result.failedAt) status = `<span class="thread-part__error">Failed: ${escapeHtml(result.error)}</span>`;
+      else status = `<span>Not sent</span>`;
+    }
+    return `
+      <div class="thread-part">
+        <p>${escapeHtml(part)}</p>
+        <div class="card__meta">
+          <span>${textLength(part, providerId)}/${providerLimit(providerId).max}</span>
+          ${status}
+        </div>
+      </div>
+    `;
+  }).join("") || `<div class="empty">Write a reply to preview the thread</div>`;
+}
+
+async function handleThreadPost(provider) {
+  if (!THREADABLE_PROVIDERS.includes(provider.id)) {
+    setStatus(`Reply chains aren't supported on ${provider.id}`);
+    return;
+  }
+  const parts = currentThreadParts(provider.id);
+  if (!parts.length) return;
+  setStatus(`Posting ${parts.length}-part thread to ${provider.id}…`);
+  const result = await postThread(provider, parts, {
+    replyTo: state.selectedMessage,
+    gifUrl: extractGif(replyText.value),
+    options: composeOptions(),
+  });
+  renderThreadPreview(result);
+  if (result.ok) {
+    markDraftPosted(state.chosenDraftId, replyText.value);
+    markInboxHandled(state.selectedMessage);
+    setStatus(`Posted ${parts.length}-part thread to ${provider.id}`);
+  } else {
+    setStatus(`Thread broke at post ${result.failedAt + 1}/${parts.length} (${result.posted.length} posted): ${result.error}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Broadcast / Cross-posting
+// Sends one composed message (with optional per-network variants) to several
+// providers at once and reports each outcome
+// ═══════════════════════════════════════════════════════════════════════════
+const PROVIDER_LIMITS = {
+  twitter: { max: 280, unit: "chars" },
+  bluesky: { max: 300, unit: "graphemes" },
+  threads: { max: 500, unit: "chars" },
+  linkedin: { max: 3000, unit: "chars" },
+  // Defaults until the instance's own limits are loaded (see providerLimit)
+  mastodon: { max: 500, unit: "chars", urlLength: 23 },
+};
+
+// Mastodon instances set their own limits, stored from /api/v2/instance on save
+function providerLimit(providerId) {
+  const limit = PROVIDER_LIMITS[providerId];
+  if (providerId !== "mastodon") return limit;
+  const cfg = config().mastodon || {};
+  return { ...limit, max: cfg.maxCharacters || limit.max, urlLength: cfg.charactersPerUrl || limit.urlLength };
+}
+
+const graphemeSegmenter = typeof Intl !== "undefined" && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+  : null;
+
+// Length as the provider counts it: graphemes for Bluesky, code points elsewhere,
+// with every link counted at a fixed length where the provider does that (Mastodon)
+function textLength(text, providerId) {
+  const { unit, urlLength } = providerLimit(providerId) || {};
+  if (unit === "graphemes" && graphemeSegmenter) {
+    return [...graphemeSegmenter.segment(text)].length;
+  }
+  const counted = urlLength ? text.replace(/https?:\/\/\S+/g, "x".repeat(urlLength)) : text;
+  return [...counted].length;
+}
+
+function checkLimit(text, providerId, replyTo = null) {
+  const length = textLength(withReplyMention(stripGif(text), replyTo), providerId);
+  const max = providerLimit(providerId)?.max ?? Infinity;
+  return { length, max, ok: length <= max };
+}
+
+function broadcastText(providerId) {
+  return (state.broadcast.variants[providerId] || "").trim() || replyText.value.trim();
+}
+
+function renderBroadcastPanel() {
+  const panel = el("broadcastPanel");
+  const targets = providers.filter((p) => p.isConfigured());
+  if (!targets.length) {
+    panel.innerHTML = `<div class="empty">Configure providers in Settings to broadcast</div>`;
+    return;
+  }
+  panel.innerHTML = `
+    <p class="hint">Leave a variant empty to send the main reply as-is.</p>
+    ${targets.map((p) => `
+      <div class="broadcast-item" data-provider="${p.id}">
+        <label class="checkbox">
+          <input type="checkbox" data-target ${state.broadcast.targets.has(p.id) ? "checked" : ""}>
+          <span><i class="${p.icon}"></i> ${p.name}</span>
+          <span class="broadcast-count" data-count></span>
+        </label>
+        <textarea rows="2" data-variant placeholder="Variant for ${p.name} (optional)">${escapeHtml(state.broadcast.variants[p.id] || "")}</textarea>
+      </div>
+    `).join("")}
+    <div class="composer__actions">
+      <button type="button" class="btn tertiary" id="broadcastSend">Broadcast</button>
+    </div>
+    <div id="broadcastReport" class="broadcast-report"></div>
+  `;
+  panel.querySelectorAll(".broadcast-item").forEach((item) => {
+    const id = item.dataset.provider;
+    item.querySelector("[data-target]").addEventListener("change", (e) => {
+      if (e.target.checked) state.broadcast.targets.add(id);
+      else state.broadcast.targets.delete(id);
+    });
+    item.querySelector("[data-variant]").addEventListener("input", (e) => {
+      state.broadcast.variants[id] = e.target.value;
+      updateBroadcastCounts();
+    });
+  });
+  panel.querySelector("#broadcastSend").addEventListener("click", handleBroadcast);
+  updateBroadcastCounts();
+}
+
+function updateBroadcastCounts() {
+  document.querySelectorAll("#broadcastPanel .broadcast-item").forEach((item) => {
+    const { length, max, ok } = checkLimit(broadcastText(item.dataset.provider), item.dataset.provider);
+    const count = item.querySelector("[data-count]");
+    count.textContent = `${length}/${max}`;
+    count.classList.toggle("broadcast-count--over", !ok);
+  });
+}
+
+async function handleBroadcast() {
+  const targets = providers.filter((p) => state.broadcast.targets.has(p.id) && p.isConfigured());
+  if (!targets.length) {
+    alert("Pick at least one provider to broadcast to.");
+    return;
+  }
+  const messages = targets.map((p) => ({ provider: p, text: broadcastText(p.id) }));
+  const empty = messages.filter((m) => !m.text);
+  if (empty.length) {
+    alert("Write a reply or a variant for every selected provider first.");
+    return;
+  }
+  // Check every limit up front so a long message doesn't half-send
+  const over = messages.filter((m) => !checkLimit(m.text, m.provider.id).ok);
+  if (over.length) {
+    setStatus(`Too long for ${over.map((m) => m.provider.name).join(", ")}`);
+    updateBroadcastCounts();
+    return;
+  }
+
+  setStatus(`Broadcasting to ${targets.map((p) => p.name).join(", ")}…`);
+  const options = composeOptions();
+  const results = await Promise.all(messages.map(async ({ provider, text }) => {
+    const res = await provider.post({ text, gifUrl: extractGif(text), replyTo: null, options });
+    return { provider, ...res };
+  }));
+  renderBroadcastReport(results);
+
+  const okCount = results.filter((r) => r.ok).length;
+  if (okCount) markDraftPosted(state.chosenDraftId, replyText.value);
+  setStatus(`Broadcast: ${okCount}/${results.length} posted`);
+}
+
+function renderBroadcastReport(results) {
+  const report = el("broadcastReport");
+  if (!report) return;
+  report.innerHTML = results.map((r) => `
+    <div class="broadcast-result ${r.ok ? "broadcast-result--ok" : "broadcast-result--fail"}">
+      <span><i class="${r.provider.icon}"></i> ${r.provider.name}</span>
+      ${r.ok
+        ? `<a href="${r.url}" target="_blank" rel="noreferrer">Posted ↗</a>`
+        : `<span>${escapeHtml(r.error || "Post failed")}</span>`}
+    </div>
+  `).join("");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Outbox / Scheduled Posts
+// Queued replies persist in IndexedDB and go out via the provider clients
+// while the app is open. Failed sends retry with exponential backoff; posts
+// that failed for lack of a connection send once it's back, the next time the
+// app is open (credentials only exist in the page, so nothing posts without it).
+// ═══════════════════════════════════════════════════════════════════════════
+const OUTBOX_POLL_MS = 30_000;
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_BACKOFF_MS = 60_000;
+const OUTBOX_SEND_STALE_MS = 5 * 60_000;
+const OUTBOX_SYNC_TAG = "outbox-sync";
+let outboxRunning = false;
+
+async function queueOutboxItem({ provider, text, gifUrl, replyTo, options = {}, draftId = null, scheduledAt, offline = false }) {
+  const item = {
+    id: `ob-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    provider,
+    text,
+    gifUrl: gifUrl || null,
+    // Keep our own copy of the reply context so later selections don't change it
+    replyTo: replyTo ? { ...replyTo } : null,
+    options,
+    draftId,
+    scheduledAt,
+    status: "queued",
+    offline,
+    attempts: 0,
+    lastError: null,
+    createdAt: Date.now(),
+  };
+  await idbPut("outbox", item);
+  return item;
+}
+
+const isDueOutboxItem = (item) => item.status === "queued" && item.scheduledAt <= Date.now();
+
+// Flips a due item to "sending" inside one readwrite transaction. IndexedDB runs
+// those one at a time across tabs, so only one tab can claim (and post) an item.
+async function claimOutboxItem(id) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("outbox", "readwrite");
+    const store = tx.objectStore("outbox");
+    let claimed = null;
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result || !isDueOutboxItem(req.result)) return;
+      claimed = { ...req.result, status: "sending", claimedAt: Date.now() };
+      store.put(claimed);
+    };
+    tx.oncomplete = () => resolve(claimed);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Resolves to the outcome of each item it tried plus how many are still due,
+// which the service worker relays to every open window after a sync
+async function processOutbox() {
+  const results = [];
+  // Credentials are unavailable while locked; don't burn retry attempts
+  if (!outboxRunning && !isVaultLocked() && navigator.onLine) {
+    outboxRunning = true;
+    try {
+      const due = (await idbGetAll("outbox")).filter(isDueOutboxItem);
+      for (const { id } of due) {
+        const item = await claimOutboxItem(id);
+        // Another tab got there first, or the item was edited or cancelled meanwhile
+        if (!item) continue;
+        await sendOutboxItem(item);
+        results.push({ id: item.id, provider: item.provider, status: item.status, url: item.url, error: item.lastError });
+      }
+    } catch (err) {
+      console.error("Outbox run failed:", err);
+    } finally {
+      outboxRunning = false;
+    }
+    renderOutbox();
+  }
+  const pending = await idbGetAll("outbox").then((items) => items.filter(isDueOutboxItem).length, () => 0);
+  return { results, pending };
+}
+
+// Queues a reply that couldn't go out for lack of a connection
+async function queueOfflinePost(provider, { text, gifUrl, replyTo, options, draftId }) {
+  try {
+    await queueOutboxItem({ provider: provider.id, text, gifUrl, replyTo, options, draftId, scheduledAt: Date.now(), offline: true });
+  } catch (err) {
+    setStatus(`Offline and couldn't queue the post: ${err.message}`);
+    return;
+  }
+  registerOutboxSync();
+  renderOutbox();
+  setStatus(`Offline · reply to ${provider.id} queued, it will send once you're back online with the app open`);
+}
+
+// One-shot sync for queued posts. The worker can only hand them to an open
+// window, so this mostly helps a backgrounded tab; the "online" event and the
+// outbox poll cover browsers without Background Sync.
+async function registerOutboxSync() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync?.register(OUTBOX_SYNC_TAG);
+  } catch (err) {
+    console.warn("Background sync unavailable:", err.message);
+  }
+}
+
+function handleOutboxMessage(event) {
+  if (event.data?.type === "FLUSH_OUTBOX") {
+    processOutbox().then((outcome) => event.ports[0]?.postMessage(outcome));
+  }
+  if (event.data?.type === "OUTBOX_RESULT") {
+    renderOutbox();
+    const sent = event.data.results.filter((r) => r.status === "sent").length;
+    const failed = event.data.results.filter((r) => r.status === "failed").length;
+    if (sent || failed) setStatus(`Outbox synced: ${sent} sent${failed ? `, ${failed} failed` : ""}`);
+  }
+}
+
+async function sendOutboxItem(item) {
+  const provider = providers.find((p) => p.id === item.provider);
+  const res = provider
+    ? await provider.post({ text: item.text, gifUrl: item.gifUrl, replyTo: item.replyTo, options: item.options })
+    : { ok: false, error: `Unknown provider ${item.provider}` };
+  // Connection dropped again: leave it for the next sync without using up an attempt
+  if (res.offline) {
+    item.status = "queued";
+    item.offline = true;
+    item.lastError = res.error;
+    await idbPut("outbox", item);
+    registerOutboxSync();
+    return;
+  }
+  item.attempts += 1;
+  if (res.ok) {
+    item.status = "sent";
+    item.sentAt = Date.now();
+    item.url = res.url;
+    item.lastError = null;
+    markDraftPosted(item.draftId, item.text);
+    if (item.replyTo) markInboxHandled(item.replyTo);
+    setStatus(`${item.offline ? "Queued" : "Scheduled"} post sent to ${item.provider}`);
+  } else if (item.attempts >= OUTBOX_MAX_ATTEMPTS) {
+    item.status = "failed";
+    item.lastError = res.error || "Post failed";
+    setStatus(`${item.offline ? "Queued" : "Scheduled"} post to ${item.provider} failed`);
+  } else {
+    // Back off 1m, 2m, 4m, 8m… before the next attempt
+    item.status = "queued";
+    item.lastError = res.error || "Post failed";
+    item.scheduledAt = Date.now() + OUTBOX_BACKOFF_MS * 2 ** (item.attempts - 1);
+  }
+  try {
+    await idbPut("outbox", item);
+  } catch (err) {
+    // The stored copy stays "sending", which is never picked up again, so a post
+    // that went out can't be sent twice
+    console.error("Unable to record outbox result:", err);
+  }
+}
+
+async function renderOutbox() {
+  const list = el("outboxList");
+  if (!list) return;
+  let items = [];
+  try {
+    items = await idbGetAll("outbox");
+  } catch (err) {
+    list.innerHTML = `<div class="empty">Outbox unavailable (IndexedDB blocked)</div>`;
+    return;
+  }
+  if (!items.length) {
+    list.innerHTML = `<div class="empty">Nothing scheduled</div>`;
+    return;
+  }
+  items.sort((a, b) => a.scheduledAt - b.scheduledAt);
+  list.innerHTML = "";
+  items.forEach((item) => {
+    const row = document.createElement("div");
+    row.className = `outbox-item outbox-item--${item.status}`;
+    let when = item.status === "sent"
+      ? `Sent ${new Date(item.sentAt).toLocaleString()}`
+      : `${item.attempts ? "Retry" : "Scheduled"} ${new Date(item.scheduledAt).toLocaleString()}`;
+    if (item.status === "queued" && item.offline) when = "Waiting for connection · sends while the app is open";
+    // A tab closed mid-send, or the result couldn't be saved; it may have gone out
+    const interrupted = item.status === "sending" && Date.now() - item.claimedAt > OUTBOX_SEND_STALE_MS;
+    if (item.status === "sending") when = interrupted ? "Interrupted while sending · check before retrying" : "Sending…";
+    row.innerHTML = `
+      <div class="card__meta">
+        <span class="chip">${item.provider}</span>
+        <span>${when}</span>
+      </div>
+      <p>${escapeHtml(item.text)}</p>
+      ${item.replyTo ? `<span class="hint">Replying to @${escapeHtml(item.replyTo.handle || "unknown")}</span>` : ""}
+      ${item.lastError ? `<span class="hint outbox-item__error">${escapeHtml(item.lastError)} (attempt ${item.attempts})</span>` : ""}
+      <div class="card__actions">
+        ${item.status === "sent" && item.url ? `<a class="btn ghost btn--small" href="${item.url}" target="_blank" rel="noreferrer">Open</a>` : ""}
+        ${item.status !== "sent" && item.status !== "sending" ? `<button type="button" class="btn secondary btn--small" data-action="edit">Edit</button>` : ""}
+        ${item.status === "failed" || interrupted ? `<button type="button" class="btn secondary btn--small" data-action="retry">Retry</button>` : ""}
+        <button type="button" class="btn ghost btn--small" data-action="remove">${item.status === "queued" ? "Cancel" : "Remove"}</button>
+      </div>
+    `;
+    row.querySelector("[data-action='edit']")?.addEventListener("click", () => openScheduleModal(item));
+    row.querySelector("[data-action='retry']")?.addEventListener("click", async () => {
+      await idbPut("outbox", { ...item, status: "queued", attempts: 0, lastError: null, scheduledAt: Date.now() });
+      processOutbox();
+    });
+    row.querySelector("[data-action='remove']").addEventListener("click", async () => {
+      if (item.status === "queued" && !confirm("Cancel this scheduled post?")) return;
+      await idbDelete("outbox", item.id);
+      renderOutbox();
+    });
+    list.appendChild(row);
+  });
+}
+
+// Opens the schedule dialog for the current draft, or for an existing outbox item
+function openScheduleModal(existingItem) {
+  const existing = document.querySelector(".modal-overlay");
+  if (existing) existing.remove();
+
+  if (!existingItem && !state.selectedMessage) {
+    alert("Select a post first.");
+    return;
+  }
+  const text = existingItem ? existingItem.text : replyText.value;
+  const scheduledAt = existingItem ? Math.max(existingItem.scheduledAt, Date.now()) : Date.now() + 3600_000;
+
+  const overlay = document.createElement("div");
+  overlay.className = "modal-overlay";
+  overlay.innerHTML = `
+    <div class="modal">
+      <h3>${existingItem ? "Edit scheduled post" : "Schedule reply"}</h3>
+      <form id="scheduleForm">
+        <label class="stacked">
+          <span>Reply</span>
+          <textarea name="text" rows="5">${escapeHtml(text)}</textarea>
+        </label>
+        <label class="stacked">
+          <span>Send at</span>
+          <input type="datetime-local" name="scheduledAt" value="${toLocalInputValue(scheduledAt)}" required>
+        </label>
+        <div class="modal__actions">
+          <button type="submit" class="btn primary">${existingItem ? "Save" : "Schedule"}</button>
+          <button type="button" class="btn ghost" data-close>Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  overlay.querySelector("[data-close]").addEventListener("click", () => overlay.remove());
+  overlay.addEventListener("click", (e) => { if (e.target === overlay) overlay.remove(); });
+  overlay.querySelector("form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const newText = formData.get("text").trim();
+    const when = new Date(formData.get("scheduledAt")).getTime();
+    if (!newText || Number.isNaN(when)) return;
+    try {
+      if (existingItem) {
+        await idbPut("outbox", {
+          ...existingItem,
+          text: newText,
+          gifUrl: extractGif(newText) || null,
+          scheduledAt: when,
+          status: "queued",
+          attempts: 0,
+          lastError: null,
+        });
+        setStatus("Scheduled post updated");
+      } else {
+        await queueOutboxItem({
+          provider: state.selectedMessage.provider,
+          text: newText,
+          gifUrl: extractGif(newText),
+          replyTo: state.selectedMessage,
+          options: composeOptions(),
+          draftId: state.chosenDraftId,
+          scheduledAt: when,
+        });
+        setStatus(`Scheduled for ${new Date(when).toLocaleString()}`);
+      }
+    } catch (err) {
+      console.error("Unable to save outbox item:", err);
+      alert("Unable to schedule: IndexedDB is not available in this browser.");
+      return;
+    }
+    overlay.remove();
+    renderOutbox();
+  });
+}
+
+// Formats a timestamp for <input type="datetime-local"> in local time
+function toLocalInputValue(ms) {
+  const date = new Date(ms);
+  return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
 }
 
 function setStatus(msg) {
@@ -1161,17 +4763,62 @@ function sleep(ms) {
 function setupEvents() {
   el("searchInput").addEventListener("input", debounce((e) => runSearch(e.target.value)));
   el("refreshButton").addEventListener("click", () => runSearch());
+  el("loadMoreButton").addEventListener("click", loadMoreFeed);
+  originalText.addEventListener("input", autosaveDraft);
+  replyText.addEventListener("input", autosaveDraft);
+  el("newPostsBanner").addEventListener("click", showIncoming);
+  el("sortSelect").addEventListener("change", (e) => {
+    state.feedSort = e.target.value;
+    safeSetItem("sm_feed_sort", state.feedSort);
+    sortFeed();
+    renderFeed();
+  });
+  document.querySelectorAll("[data-feed-mode]").forEach((btn) => {
+    btn.addEventListener("click", () => setFeedMode(btn.dataset.feedMode));
+  });
   el("settingsButton")?.addEventListener("click", openSettingsModal);
   el("draftButton").addEventListener("click", draftReply);
+  el("stopDraftButton").addEventListener("click", stopDraft);
+  el("voiceSelect").addEventListener("change", (e) => {
+    state.activeVoiceId = e.target.value || null;
+    const voice = activeVoice();
+    if (voice?.tone) toneSelect.value = voice.tone;
+  });
   el("copyButton").addEventListener("click", () => copyText(replyText.value));
   el("postButton").addEventListener("click", handlePost);
+  el("scheduleButton").addEventListener("click", () => openScheduleModal());
+  el("broadcastToggle").addEventListener("change", (e) => {
+    el("broadcastPanel").classList.toggle("hidden", !e.target.checked);
+    if (e.target.checked) renderBroadcastPanel();
+  });
+  replyText.addEventListener("input", updateBroadcastCounts);
+  replyText.addEventListener("input", debounce(() => renderThreadPreview()));
+  el("threadToggle").addEventListener("change", () => renderThreadPreview());
+  el("threadNumberToggle").addEventListener("change", () => renderThreadPreview());
+  el("vaultButton").addEventListener("click", () => {
+    if (isVaultLocked()) openUnlockModal();
+    else lockVault();
+  });
+  ["pointerdown", "keydown", "scroll"].forEach((type) => {
+    window.addEventListener(type, debounce(resetIdleLock, 1000), { passive: true });
+  });
   el("clearDraft").addEventListener("click", () => {
     originalText.value = "";
     replyText.value = "";
     state.selectedMessage = null;
+    state.chosenDraftId = null;
     selectedProviderChip.textContent = "No post selected";
+    renderReplyContext(null);
+    autosaveDraft();
   });
   originalText.addEventListener("paste", (e) => {
+    const pasted = (e.clipboardData?.getData("text") || "").trim();
+    const url = firstUrl(pasted);
+    // Only a bare link is resolved; pasted post text with a link in it drafts as usual
+    if (url && url === pasted && providers.some((p) => p.recognizesUrl(url))) {
+      resolvePastedUrl(url);
+      return;
+    }
     if (!el("autoDraftToggle").checked) return;
     setTimeout(draftReply, 30);
   });
@@ -1191,15 +4838,26 @@ function setupPWA() {
     navigator.serviceWorker
       .register(`./service-worker.js?v=${version}`)
       .then((registration) => {
-        if (registration.waiting) {
-          registration.waiting.postMessage({ type: "SKIP_WAITING" });
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdatePrompt(registration.waiting);
         }
+        // A worker that finishes installing while another controls the page is an update
+        registration.addEventListener("updatefound", () => {
+          const worker = registration.installing;
+          worker?.addEventListener("statechange", () => {
+            if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+          });
+        });
         navigator.serviceWorker.controller?.postMessage({
           type: "SET_VERSION",
           version,
         });
       })
       .catch((err) => console.error("SW", err));
+    navigator.serviceWorker.addEventListener("message", handleOutboxMessage);
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (state.reloadingForUpdate) location.reload();
+    });
   }
   window.addEventListener("beforeinstallprompt", (e) => {
     e.preventDefault();
@@ -1215,7 +4873,103 @@ function setupPWA() {
   });
 }
 
-function init() {
+// ═══════════════════════════════════════════════════════════════════════════
+// Shared Posts
+// The manifest's share_target opens ./index.html?title=…&text=…&url=… (the
+// browser replaces the action's query, so the share params are the only marker)
+// ═══════════════════════════════════════════════════════════════════════════
+const URL_PATTERN = /https?:\/\/\S+/i;
+
+// First link in the text, minus sentence punctuation stuck to its end (as in detectRichText)
+const firstUrl = (text) => text.match(URL_PATTERN)?.[0].replace(/[.,;:!?)"']+$/, "");
+
+async function resolvePostUrl(url) {
+  for (const provider of providers.filter((p) => p.recognizesUrl(url))) {
+    const post = await provider.lookup(url);
+    if (post) return post;
+  }
+  return null;
+}
+
+// A pasted permalink becomes the real post (uri/cid/conversation ids included),
+// so the reply threads under it instead of drafting from the bare URL
+async function resolvePastedUrl(url) {
+  setStatus("Looking up pasted post…");
+  const post = await resolvePostUrl(url);
+  if (post) {
+    selectPost(post);
+    setStatus(`Loaded ${post.provider} post from link`);
+    return;
+  }
+  setStatus(unresolvedLinkStatus(url));
+}
+
+function unresolvedLinkStatus(url) {
+  const provider = providers.find((p) => p.recognizesUrl(url));
+  if (!provider) return "Couldn't load that post";
+  if (!provider.isConfigured()) return `Configure ${provider.name} to reply to its links`;
+  return provider.lookupNote || `Couldn't load that ${provider.name} post`;
+}
+
+async function handleShareTarget() {
+  const params = new URLSearchParams(location.search);
+  if (!["title", "text", "url"].some((key) => params.has(key))) return;
+  // Drop the payload from the address bar so a reload doesn't re-import it
+  history.replaceState(null, "", location.pathname);
+  const title = params.get("title") || "";
+  const text = params.get("text") || "";
+  // Many apps put the link inside `text` instead of `url`
+  const url = params.get("url") || firstUrl(text) || "";
+  if (!title && !text && !url) return;
+
+  if (url) {
+    setStatus("Resolving shared post…");
+    const post = await resolvePostUrl(url);
+    if (post) {
+      selectPost(post);
+      setStatus(`Loaded shared ${post.provider} post`);
+      return;
+    }
+  }
+  // Unknown or unreachable post: draft from the shared text alone
+  state.selectedMessage = null;
+  selectedProviderChip.textContent = "Shared post";
+  renderReplyContext(null);
+  originalText.value = [title, text.replace(url, "").trim() || url].filter(Boolean).join("\n");
+  autosaveDraft();
+  const recognized = url && providers.some((p) => p.recognizesUrl(url));
+  setStatus(recognized ? `${unresolvedLinkStatus(url)} · drafting from the shared text` : "Shared text loaded");
+  if (el("autoDraftToggle").checked) draftReply();
+}
+
+// The new worker only takes over once the user chooses to reload
+function showUpdatePrompt(worker) {
+  const banner = el("updateBanner");
+  banner.classList.remove("hidden");
+  el("reloadButton").onclick = () => {
+    state.reloadingForUpdate = true;
+    el("reloadButton").disabled = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+  el("dismissUpdateButton").onclick = () => banner.classList.add("hidden");
+}
+
+// Applies the current config (or the locked/demo state) to globals and provider selection
+function applyConfig() {
+  // Load saved LLM config
+  const cfg = config();
+  if (cfg.llmEndpoint) window.githubModelsEndpoint = cfg.llmEndpoint;
+  if (cfg.llmToken) window.githubModelsToken = cfg.llmToken;
+  if (cfg.llmModel) window.githubModelsModel = cfg.llmModel;
+
+  state.selectedProviders.clear();
+  providers.forEach((p) => {
+    // Enable all configured providers by default; show every network's demo feed while locked
+    if (p.isConfigured() || isVaultLocked()) state.selectedProviders.add(p.id);
+  });
+}
+
+async function init() {
   // Check Safari localStorage availability
   if (!storageAvailable()) {
     const warning = document.createElement("div");
@@ -1228,23 +4982,33 @@ function init() {
     console.warn("localStorage not available - settings will not persist");
   }
 
-  // Load saved LLM config
-  const cfg = config();
-  if (cfg.llmEndpoint) window.githubModelsEndpoint = cfg.llmEndpoint;
-  if (cfg.llmToken) window.githubModelsToken = cfg.llmToken;
-  if (cfg.llmModel) window.githubModelsModel = cfg.llmModel;
-
-  // Enable all configured providers by default
-  providers.forEach((p) => {
-    if (p.isConfigured()) state.selectedProviders.add(p.id);
-  });
+  applyConfig();
+  if (isVaultLocked()) {
+    openUnlockModal();
+  } else {
+    completeOAuthRedirect();
+    refreshExpiringTokens();
+  }
 
   renderProviders();
+  renderVaultButton();
   renderSearchPresets();
   renderGifs();
+  renderVoiceSelect();
+  renderFeedMode();
+  el("sortSelect").value = state.feedSort;
   setupEvents();
   setupPWA();
+  await restoreDraft();
+  await showCachedFeed();
+  if (!isVaultLocked()) handleShareTarget();
   runSearch();
+  renderOutbox();
+  processOutbox();
+  setInterval(processOutbox, OUTBOX_POLL_MS);
+  window.addEventListener("online", processOutbox);
+  setInterval(refreshRelativeTimes, RELATIVE_TIME_REFRESH_MS);
+  scheduleAutoRefresh();
 }
 
 init();
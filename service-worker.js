@@ -1,5 +1,6 @@
 const VERSION = "__APP_VERSION__";
 const CACHE = `social-manager-${VERSION}`;
+const CDN_CACHE = "social-manager-cdn";
 const ASSETS = [
   `./index.html?v=${VERSION}`,
   `./styles.css?v=${VERSION}`,
@@ -8,6 +9,16 @@ const ASSETS = [
   "./icon.svg",
 ];
 
+// Fonts and icon CSS: served from cache, refreshed in the background
+const CDN_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com", "cdnjs.cloudflare.com"];
+
+// Runtime caches are capped by entry count and age; the app cache is also
+// replaced wholesale on every deploy
+const CACHE_LIMITS = {
+  [CACHE]: { maxEntries: 40, maxAgeMs: Infinity },
+  [CDN_CACHE]: { maxEntries: 60, maxAgeMs: 30 * 24 * 3600_000 },
+};
+
 self.addEventListener("message", (event) => {
   if (event.data?.type === "SKIP_WAITING") {
     self.skipWaiting();
@@ -17,33 +28,174 @@ self.addEventListener("message", (event) => {
   }
 });
 
+// A new version waits until the page asks for SKIP_WAITING (its "reload" prompt)
 self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches.open(CACHE).then((cache) => cache.addAll(ASSETS)).then(() => self.skipWaiting())
-  );
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(ASSETS)));
 });
 
 self.addEventListener("activate", (event) => {
   event.waitUntil(
     caches.keys().then((keys) =>
-      Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)))
+      Promise.all(keys.filter((k) => k !== CACHE && k !== CDN_CACHE).map((k) => caches.delete(k)))
     ).then(() => self.clients.claim())
   );
 });
 
+// Background Sync for the outbox. Posting needs the user's credentials, which
+// live in the page (localStorage, possibly behind the passphrase vault) and are
+// out of reach here, so the worker never posts itself: it wakes an open window
+// to flush the IndexedDB outbox and relays the outcome to every window. With no
+// window open the sync fails, and queued posts go out the next time the app is
+// open.
+const OUTBOX_SYNC_TAG = "outbox-sync";
+const OUTBOX_FLUSH_TIMEOUT_MS = 60_000;
+
+function askClientToFlush(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error("Outbox flush timed out")), OUTBOX_FLUSH_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    client.postMessage({ type: "FLUSH_OUTBOX" }, [channel.port2]);
+  });
+}
+
+async function flushOutbox() {
+  const windows = await self.clients.matchAll({ type: "window" });
+  const client = windows.find((c) => c.focused) || windows[0];
+  if (!client) throw new Error("No open window to send queued posts");
+  const { results = [], pending = 0 } = await askClientToFlush(client);
+  windows.forEach((c) => c.postMessage({ type: "OUTBOX_RESULT", results }));
+  if (pending) throw new Error(`${pending} queued posts still due`);
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(flushOutbox());
+});
+
+// Alerts for pinned presets: bring the app back to the front
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) =>
+      clients[0] ? clients[0].focus() : self.clients.openWindow("./")
+    )
+  );
+});
+
+// ─── Cache metadata ──────────────────────────────────────────────────────────
+// Store times live in a small IndexedDB of our own (separate from the app's database and its versions)
+const META_DB = "social-manager-sw";
+let metaDbPromise = null;
+
+// One connection for the worker's lifetime; reopened if the browser closes it
+function openMetaDb() {
+  if (metaDbPromise) return metaDbPromise;
+  metaDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(META_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("entries", { keyPath: "url" });
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onclose = db.onversionchange = () => {
+        db.close();
+        metaDbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  metaDbPromise.catch(() => { metaDbPromise = null; });
+  return metaDbPromise;
+}
+
+async function metaTransaction(mode, fn) {
+  const db = await openMetaDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("entries", mode);
+    const result = fn(tx.objectStore("entries"));
+    tx.oncomplete = () => resolve(result.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const recordEntry = (cacheName, url) =>
+  metaTransaction("readwrite", (store) => store.put({ url, cacheName, storedAt: Date.now() }));
+const readEntries = () => metaTransaction("readonly", (store) => store.getAll());
+const forgetEntry = (url) => metaTransaction("readwrite", (store) => store.delete(url));
+
+// Drops entries past their age, then the oldest beyond the entry cap
+async function trimCache(cacheName) {
+  const { maxEntries, maxAgeMs } = CACHE_LIMITS[cacheName];
+  const cache = await caches.open(cacheName);
+  const entries = (await readEntries())
+    .filter((e) => e.cacheName === cacheName)
+    .sort((a, b) => b.storedAt - a.storedAt);
+  const expired = entries.filter((e, i) => i >= maxEntries || Date.now() - e.storedAt > maxAgeMs);
+  await Promise.all(expired.map((e) => Promise.all([cache.delete(e.url), forgetEntry(e.url)])));
+}
+
+async function putInCache(cacheName, request, response) {
+  const cache = await caches.open(cacheName);
+  await cache.put(request, response);
+  await recordEntry(cacheName, request.url);
+  await trimCache(cacheName);
+}
+
+async function isExpired(cacheName, url) {
+  const entry = (await readEntries()).find((e) => e.url === url);
+  return !!entry && Date.now() - entry.storedAt > CACHE_LIMITS[cacheName].maxAgeMs;
+}
+
+// ─── Strategies ──────────────────────────────────────────────────────────────
+async function cacheFirst(event) {
+  const cached = await caches.match(event.request, { cacheName: CACHE });
+  if (cached) return cached;
+  const response = await fetch(event.request);
+  if (response.ok) event.waitUntil(putInCache(CACHE, event.request, response.clone()));
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const cached = await caches.match(event.request, { cacheName: CDN_CACHE });
+  const refresh = fetch(event.request).then((response) => {
+    // Opaque (no-cors) responses are left out: browsers count each one against
+    // quota at a padded size of several MB. The CDN links in index.html use
+    // crossorigin so they come back as readable CORS responses.
+    if (response.ok) {
+      return putInCache(CDN_CACHE, event.request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+  if (cached && !(await isExpired(CDN_CACHE, event.request.url))) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh.catch(() => cached || Response.error());
+}
+
+// Page loads go to the network so OAuth redirects and new deploys are seen;
+// the precached shell covers offline starts
+async function networkFirstPage(event) {
+  try {
+    return await fetch(event.request);
+  } catch (err) {
+    return (await caches.match(`./index.html?v=${VERSION}`, { cacheName: CACHE })) || Response.error();
+  }
+}
+
+// Provider and LLM APIs (and anything else cross-origin that isn't a CDN) are
+// network-only: the worker doesn't respond, so the browser fetches as usual
 self.addEventListener("fetch", (event) => {
   const { request } = event;
   if (request.method !== "GET") return;
-  event.respondWith(
-    caches.match(request).then((cached) =>
-      cached ||
-      fetch(request)
-        .then((resp) => {
-          const copy = resp.clone();
-          caches.open(CACHE).then((cache) => cache.put(request, copy));
-          return resp;
-        })
-        .catch(() => cached)
-    )
-  );
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirstPage(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(event));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
 });